@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+const path = require("path");
+const { Writable } = require("stream");
+const FastXlsxReader = require("..");
+const FastXlsxSheetReader = require("../lib/FastXlsxSheetReader");
+const { resolveInput } = require("../lib/input");
+const { BUILTIN_FORMATS } = require("../lib/writers");
+const { SchemaError, ValidationError } = require("../lib/errors");
+const { version } = require("../package.json");
+
+/**
+ * The exit codes of the command.
+ */
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+const EXIT_INVALID = 3;
+
+/**
+ * The number of validation errors printed by the 'convert' command.
+ */
+const MAX_PRINTED_ERRORS = 20;
+
+const USAGE = `Usage: fast-xlsx-reader <command> <file> [options]
+
+Commands:
+  convert <file>    Convert a sheet to JSON, NDJSON, CSV or TSV
+  inspect <file>    List the sheets of a workbook and their dimensions
+  head <file>       Print the first rows of a sheet, one JSON array per line
+
+The file can be "-" to read the workbook from the standard input.
+
+Options of convert:
+  --sheet <name>          The sheet name, zero-based index, or "*" for all sheets
+  --format <format>       json (default), ndjson, csv or tsv; defaults to the
+                          extension of the output file
+  --out <file>            The output file (defaults to the standard output); with
+                          --sheet "*", a path containing "{sheet}" writes one file per sheet
+  --schema <file>         A schema module (.js), or a schema or JSON Schema file (.json)
+  --no-header             The sheet has no header row
+  --header-row <n|auto>   The 1-based number of the header row, or "auto"
+  --max-rows <n>          The maximum number of records to read
+  --invalid-rows <mode>   keep (default), skip or stop on invalid rows
+  --streaming             Parse the workbook incrementally (large files)
+  --verbose               Log progress to the standard error
+
+Options of inspect:
+  --exact                 Read the sheets to the end to get their used range
+  --json                  Print the description as JSON
+
+Options of head:
+  --sheet <name>          The sheet name or zero-based index
+  -n, --rows <n>          The number of rows to print (defaults to 10)
+  --formatted             Print the formatted text of the cells
+
+Exit codes: 0 (success), 1 (error), 2 (invalid usage), 3 (schema or validation errors).
+`;
+
+/**
+ * The options of each command: true for the flags, false for the options that take a value.
+ */
+const COMMANDS = {
+  convert: {
+    sheet: false,
+    format: false,
+    out: false,
+    schema: false,
+    "no-header": true,
+    "header-row": false,
+    "max-rows": false,
+    "invalid-rows": false,
+    streaming: true,
+    verbose: true
+  },
+  inspect: {
+    exact: true,
+    json: true
+  },
+  head: {
+    sheet: false,
+    rows: false,
+    formatted: true
+  }
+};
+
+const ALIASES = {
+  n: "rows"
+};
+
+/**
+ * The values of the --invalid-rows option.
+ */
+const INVALID_ROWS = ["keep", "skip", "stop"];
+
+/**
+ * Represents an error in the command line arguments.
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+/**
+ * Parse the command line arguments.
+ * @param {string[]} args The arguments, without the node executable and script.
+ * @returns {{command: string, file: string, options: object}}
+ */
+const parseArgs = args => {
+  const [command, ...rest] = args;
+  const known = COMMANDS[command];
+
+  if (!known) throw new UsageError(command ? `Unknown command: ${command}` : "Missing command.");
+
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+
+    if (arg === "-" || !arg.startsWith("-")) {
+      positionals.push(arg);
+      continue;
+    }
+
+    // --name value, --name=value or -n value
+    const eq = arg.indexOf("=");
+    const raw = arg.replace(/^--?/, "");
+    let name = eq > -1 ? raw.substring(0, raw.indexOf("=")) : raw;
+    name = ALIASES[name] || name;
+
+    if (!(name in known)) throw new UsageError(`Unknown option for ${command}: ${arg}`);
+
+    if (known[name]) {
+      if (eq > -1) throw new UsageError(`The ${name} option does not take a value.`);
+      options[name] = true;
+    } else if (eq > -1) {
+      options[name] = arg.substring(eq + 1);
+    } else {
+      if (i + 1 >= rest.length) throw new UsageError(`Missing value for ${arg}.`);
+      options[name] = rest[++i];
+    }
+  }
+
+  if (positionals.length === 0) throw new UsageError(`Missing file for ${command}.`);
+  if (positionals.length > 1) throw new UsageError(`Unexpected argument: ${positionals[1]}`);
+
+  return { command, file: positionals[0], options };
+};
+
+/**
+ * Parse a positive integer option.
+ * @param {string} value The option value.
+ * @param {string} name The option name.
+ */
+const toCount = (value, name) => {
+  if (!/^\d+$/.test(value)) throw new UsageError(`The ${name} option must be a positive integer.`);
+  return parseInt(value, 10);
+};
+
+/**
+ * Check the --invalid-rows option.
+ * @param {string} value The option value.
+ */
+const toInvalidRows = value => {
+  if (value !== undefined && INVALID_ROWS.indexOf(value) === -1)
+    throw new UsageError(`The invalid-rows option must be one of ${INVALID_ROWS.join(", ")}.`);
+  return value;
+};
+
+/**
+ * Convert the --sheet option to the 'sheetname' option: digits are a zero-based index.
+ * @param {string} sheet The option value.
+ */
+const toSheetname = sheet => sheet !== undefined && /^\d+$/.test(sheet) ? parseInt(sheet, 10) : sheet;
+
+/**
+ * Return the output format: the --format option or the extension of the output file.
+ * @param {{format?: string, out?: string}} options The command options.
+ */
+const outputFormat = ({ format, out }) => {
+  if (format) return format;
+  const ext = out ? path.extname(out).substring(1).toLowerCase() : "";
+  return ext in BUILTIN_FORMATS ? ext : "json";
+};
+
+/**
+ * Create a stream that writes to the standard output, without ending it, and
+ * terminates the output with a line break if needed (JSON), so that shell pipelines
+ * and tools such as 'head' get a complete last line.
+ */
+const stdoutStream = () => {
+  let last;
+
+  return new Writable({
+    write(chunk, encoding, callback) {
+      if (chunk.length > 0) last = chunk[chunk.length - 1];
+      process.stdout.write(chunk, callback);
+    },
+    final(callback) {
+      if (last !== undefined && last !== 0x0a) process.stdout.write("\n", callback);
+      else callback();
+    }
+  });
+};
+
+/**
+ * Convert a sheet (or several) and write the records.
+ * @returns {Promise<number>} The exit code.
+ */
+const convert = async (input, options) => {
+  const headerRow = options["header-row"];
+  const readOptions = {
+    input,
+    output: options.out || stdoutStream(),
+    format: outputFormat(options),
+    sheetname: toSheetname(options.sheet),
+    hasHeader: !options["no-header"],
+    headerRow: headerRow === undefined || headerRow === "auto" ? headerRow : toCount(headerRow, "header-row"),
+    invalidRows: toInvalidRows(options["invalid-rows"]),
+    streaming: !!options.streaming,
+    logger: { log: console.error },
+    logLevel: options.verbose ? "info" : "silent"
+  };
+
+  if (options["max-rows"] !== undefined) readOptions.maxRows = toCount(options["max-rows"], "max-rows");
+  // schema files are loaded by the reader
+  if (options.schema !== undefined) readOptions.schema = options.schema;
+
+  const { errors } = await FastXlsxReader.read(readOptions);
+
+  if (errors.length > 0) {
+    errors.slice(0, MAX_PRINTED_ERRORS).forEach(e => console.error(
+      `${e.sheet ? e.sheet + ": " : ""}Row ${e.row + 1}, ${e.column}: ${e.reason}`));
+    if (errors.length > MAX_PRINTED_ERRORS)
+      console.error(`... and ${errors.length - MAX_PRINTED_ERRORS} more validation errors.`);
+    return EXIT_INVALID;
+  }
+
+  return EXIT_OK;
+};
+
+/**
+ * Print the sheets of a workbook and their dimensions.
+ * @returns {Promise<number>} The exit code.
+ */
+const inspect = async (input, options) => {
+  const description = await FastXlsxReader.inspect(input, { exact: !!options.exact });
+
+  if (options.json) {
+    console.log(JSON.stringify(description, null, 2));
+    return EXIT_OK;
+  }
+
+  const rows = [["#", "Sheet", "Visibility", "Range", "Rows", "Columns", "Header row"]].concat(
+    description.sheets.map(sheet => [
+      sheet.index,
+      sheet.name,
+      sheet.visibility,
+      sheet.range || "-",
+      sheet.rowCount,
+      sheet.colCount,
+      sheet.headerRow || "-"
+    ].map(String)));
+
+  const widths = rows[0].map((_, c) => Math.max(...rows.map(row => row[c].length)));
+  rows.forEach(row => console.log(row.map((cell, c) => cell.padEnd(widths[c])).join("  ").trimEnd()));
+
+  return EXIT_OK;
+};
+
+/**
+ * Print the first rows of a sheet.
+ * @returns {Promise<number>} The exit code.
+ */
+const head = async (input, options) => {
+  const count = options.rows === undefined ? 10 : toCount(options.rows, "rows");
+  const reader = new FastXlsxSheetReader(await resolveInput(input), toSheetname(options.sheet), null, {
+    valueMode: options.formatted ? "formatted" : "raw",
+    trimToUsedRange: true
+  });
+
+  // the used range may start below the first row of the sheet
+  const used = reader.usedRange;
+  if (used) reader.readMany(used.s.r, count).forEach(row => console.log(JSON.stringify(row)));
+
+  return EXIT_OK;
+};
+
+const COMMAND_HANDLERS = { convert, inspect, head };
+
+/**
+ * Run the command line.
+ * @param {string[]} args The arguments, without the node executable and script.
+ * @returns {Promise<number>} The exit code.
+ */
+const main = async args => {
+  if (args.length === 0 || args[0] === "--help" || args[0] === "-h") {
+    process.stdout.write(USAGE);
+    return args.length === 0 ? EXIT_USAGE : EXIT_OK;
+  }
+
+  if (args[0] === "--version" || args[0] === "-v") {
+    console.log(version);
+    return EXIT_OK;
+  }
+
+  try {
+    const { command, file, options } = parseArgs(args);
+    const input = file === "-" ? process.stdin : file;
+    return await COMMAND_HANDLERS[command](input, options);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${USAGE}`);
+      return EXIT_USAGE;
+    }
+
+    console.error(`${error.name}: ${error.message}`);
+    return error instanceof SchemaError || error instanceof ValidationError ? EXIT_INVALID : EXIT_ERROR;
+  }
+};
+
+// stop quietly when the reader of the output, such as 'head', has exited
+process.stdout.on("error", error => {
+  if (error.code !== "EPIPE") throw error;
+  process.exit(EXIT_OK);
+});
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -1,47 +1,172 @@
 const FastXlsxReader = require("./lib/FastXlsxReader");
+const {
+  FastXlsxError,
+  SchemaError,
+  ValidationError,
+  TransformError,
+  ReadError,
+  OutputError
+} = require("./lib/errors");
+const {
+  DateTime,
+  Time
+} = require("./lib/xldates");
+const {
+  Integer
+} = require("./lib/schema");
+const {
+  JsonWriter,
+  NdjsonWriter,
+  DelimitedWriter
+} = require("./lib/writers");
 
 exports = module.exports = FastXlsxReader;
 
+exports.FastXlsxError = FastXlsxError;
+exports.SchemaError = SchemaError;
+exports.ValidationError = ValidationError;
+exports.TransformError = TransformError;
+exports.ReadError = ReadError;
+exports.OutputError = OutputError;
+exports.DateTime = DateTime;
+exports.Time = Time;
+exports.Integer = Integer;
+exports.JsonWriter = JsonWriter;
+exports.NdjsonWriter = NdjsonWriter;
+exports.DelimitedWriter = DelimitedWriter;
+
 /**
  * Read sequentially the rows contained in an Excel sheet.
  * @param {{
-      input: string,
+      input: string|Buffer|Uint8Array|ArrayBuffer|Readable,
       output?: string|WriteStream|null,
       format?: string,
-      sheetname?: string|number,
+      sheetname?: string|number|"*"|(string|number)[]|RegExp|((name: string, index: number) => boolean),
+      skipHiddenSheets?: boolean,
+      skipVeryHiddenSheets?: boolean,
       hasHeader?: boolean,
       headerPrefix?: string,
       lowerCaseHeaders?: boolean,
-      schema?: object,
+      schema?: object|string,
+      schemas?: {[sheetname: string]: object|string},
       onHeader?: (header: string[]) => void,
       onCell?: (cell, rowIndex: number, colIndex: number) => void,
       onRecord?: (record: any[], index: number) => void,
-      onFinish?: (items: any[], rowsProcessed: number) => void,
+      onFinish?: (items: any[]|object, rowsProcessed: number, errors: object[]) => void,
       onError?: (err) => void,
       useMemoryForItems?: boolean,
-      backwards?: boolean
+      backwards?: boolean,
+      streaming?: boolean,
+      delimiter?: string,
+      lineEnding?: string,
+      writer?: object|Function,
+      invalidRows?: "keep"|"skip"|"stop",
+      headerMatching?: boolean|{case?: boolean, whitespace?: boolean, punctuation?: boolean, accents?: boolean},
+      allowExtraColumns?: boolean,
+      cellDates?: boolean,
+      timeZone?: string,
+      valueMode?: "raw"|"formatted"|"cell",
+      fillMergedCells?: boolean,
+      headerRow?: number|"auto",
+      headerRows?: number,
+      headerSeparator?: string,
+      dataStartRow?: number,
+      skipRows?: number,
+      columns?: string|number|(string|number)[],
+      range?: string,
+      maxRows?: number,
+      filter?: (record: object, index: number) => boolean,
+      map?: (record: object, index: number) => any,
+      pipeline?: ({filter: (record: object, index: number) => boolean}|{map: (record: object, index: number) => any})[],
+      groupBy?: string|((record: object, index: number) => any),
+      startAt?: number,
+      resume?: {startAt: number, output?: {offset: number, records: number, begun: boolean}},
+      checkpointEvery?: number,
+      onCheckpoint?: (checkpoint: {row: number, startAt: number, rowsProcessed: number, output?: object}) => void,
+      skipEmptyRows?: boolean,
+      stopAtFirstEmptyRow?: boolean,
+      trimTrailingEmptyColumns?: boolean,
+      logger?: {debug?: Function, info?: Function, warn?: Function, error?: Function},
+      logLevel?: "debug"|"info"|"warn"|"error"|"silent"
     }} options An object containing processing instructions.
+ * @returns {Promise<{items: any[]|null, rowsProcessed: number, errors: object[]}>} A promise that
+ * resolves once all rows have been read and the output has been flushed.
  */
 exports.read = options => new FastXlsxReader(options).read();
 
 /**
  * Create and return an instance of the FastXlsxSheetReader class.
  * @param {{
-      input: string,
+      input: string|Buffer|Uint8Array|ArrayBuffer|Readable,
       output?: string|WriteStream|null,
       format?: string,
       sheetname?: string|number,
+      skipHiddenSheets?: boolean,
+      skipVeryHiddenSheets?: boolean,
       hasHeader?: boolean,
       headerPrefix?: string,
       lowerCaseHeaders?: boolean,
-      schema?: object,
+      schema?: object|string,
       onHeader?: (header: string[]) => void,
       onCell?: (cell, rowIndex: number, colIndex: number) => void,
       onRecord?: (record: any[], index: number) => void,
-      onFinish?: (items: any[], rowsProcessed: number) => void,
+      onFinish?: (items: any[], rowsProcessed: number, errors: object[]) => void,
       onError?: (err) => void,
       useMemoryForItems?: boolean,
-      backwards?: boolean
+      backwards?: boolean,
+      streaming?: boolean,
+      delimiter?: string,
+      lineEnding?: string,
+      writer?: object|Function,
+      invalidRows?: "keep"|"skip"|"stop",
+      headerMatching?: boolean|{case?: boolean, whitespace?: boolean, punctuation?: boolean, accents?: boolean},
+      allowExtraColumns?: boolean,
+      cellDates?: boolean,
+      timeZone?: string,
+      valueMode?: "raw"|"formatted"|"cell",
+      fillMergedCells?: boolean,
+      headerRow?: number|"auto",
+      headerRows?: number,
+      headerSeparator?: string,
+      dataStartRow?: number,
+      skipRows?: number,
+      columns?: string|number|(string|number)[],
+      range?: string,
+      maxRows?: number,
+      filter?: (record: object, index: number) => boolean,
+      map?: (record: object, index: number) => any,
+      pipeline?: ({filter: (record: object, index: number) => boolean}|{map: (record: object, index: number) => any})[],
+      groupBy?: string|((record: object, index: number) => any),
+      startAt?: number,
+      resume?: {startAt: number, output?: {offset: number, records: number, begun: boolean}},
+      checkpointEvery?: number,
+      onCheckpoint?: (checkpoint: {row: number, startAt: number, rowsProcessed: number, output?: object}) => void,
+      skipEmptyRows?: boolean,
+      stopAtFirstEmptyRow?: boolean,
+      trimTrailingEmptyColumns?: boolean,
+      logger?: {debug?: Function, info?: Function, warn?: Function, error?: Function},
+      logLevel?: "debug"|"info"|"warn"|"error"|"silent"
+    }} options An object containing processing instructions.
+ */
+exports.createReader = options => new FastXlsxReader(options).createReader();
+
+/**
+ * Create an object-mode Readable stream of the records contained in an Excel sheet.
+ * @param {{
+      input: string|Buffer|Uint8Array|ArrayBuffer|Readable,
+      sheetname?: string|number|"*"|(string|number)[]|RegExp|((name: string, index: number) => boolean),
+      skipHiddenSheets?: boolean,
+      skipVeryHiddenSheets?: boolean,
+      hasHeader?: boolean,
+      headerPrefix?: string,
+      lowerCaseHeaders?: boolean,
+      schema?: object|string,
+      schemas?: {[sheetname: string]: object|string},
+      onHeader?: (header: string[]) => void,
+      onError?: (err) => void,
+      streaming?: boolean,
+      logger?: {debug?: Function, info?: Function, warn?: Function, error?: Function},
+      logLevel?: "debug"|"info"|"warn"|"error"|"silent"
     }} options An object containing processing instructions.
  */
-exports.createReader = options => new FastXlsxReader(options).createReader();
\ No newline at end of file
+exports.toStream = options => new FastXlsxReader(options).toStream();
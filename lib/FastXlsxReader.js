@@ -1,9 +1,36 @@
 const xlsx = require("xlsx");
 const fs = require("fs");
+const { Readable } = require("stream");
 const {
-  tryConvertDate
-} = require("./xldates");
+  isEmpty,
+  mapValue,
+  validateValue,
+  resolveColumns,
+  normalizeSchema
+} = require("./schema");
+const { hasColumnNames, resolveColumnIndices } = require("./columns");
+const { resolveInput, describeInput } = require("./input");
+const { createSchema } = require("./infer");
+const { createLogger } = require("./logger");
+const { setProp, getProp, propField } = require("./props");
+const {
+  isSheetSelection,
+  selectSheets,
+  sheetVisibility,
+  hasSheetPlaceholder,
+  sheetOutputPath
+} = require("./sheets");
 const FastXlsxSheetReader = require("./FastXlsxSheetReader");
+const FastXlsxStreamReader = require("./FastXlsxStreamReader");
+const { BUILTIN_FORMATS, JsonWriter } = require("./writers");
+const {
+  FastXlsxError,
+  SchemaError,
+  ValidationError,
+  TransformError,
+  ReadError,
+  OutputError
+} = require("./errors");
 
 /**
  * Reads Excel (.xlsx) sheets in a more efficient way.
@@ -12,30 +39,71 @@ class FastXlsxReader {
   /**
    * Initialize a new instance of the FastXlsxReader class.
    * @param {{
-      input: string,
+      input: string|Buffer|Uint8Array|ArrayBuffer|Readable,
       output?: string|WriteStream|null,
       format?: string,
-      sheetname?: string|number,
+      sheetname?: string|number|"*"|(string|number)[]|RegExp|((name: string, index: number) => boolean),
+      skipHiddenSheets?: boolean,
+      skipVeryHiddenSheets?: boolean,
       hasHeader?: boolean,
       headerPrefix?: string,
       lowerCaseHeaders?: boolean,
-      schema?: object,
+      schema?: object|string,
+      schemas?: {[sheetname: string]: object|string},
       onHeader?: (header: string[]) => void,
       onCell?: (cell, rowIndex: number, colIndex: number) => void,
       onRecord?: (record: any[], index: number) => void,
-      onFinish?: (items: any[], rowsProcessed: number) => void,
+      onFinish?: (items: any[]|object, rowsProcessed: number, errors: object[]) => void,
       onError?: (err) => void,
       useMemoryForItems?: boolean,
-      backwards?: boolean
+      backwards?: boolean,
+      streaming?: boolean,
+      delimiter?: string,
+      lineEnding?: string,
+      writer?: object|Function,
+      invalidRows?: "keep"|"skip"|"stop",
+      headerMatching?: boolean|{case?: boolean, whitespace?: boolean, punctuation?: boolean, accents?: boolean},
+      allowExtraColumns?: boolean,
+      cellDates?: boolean,
+      timeZone?: string,
+      valueMode?: "raw"|"formatted"|"cell",
+      fillMergedCells?: boolean,
+      headerRow?: number|"auto",
+      headerRows?: number,
+      headerSeparator?: string,
+      dataStartRow?: number,
+      skipRows?: number,
+      columns?: string|number|(string|number)[],
+      range?: string,
+      maxRows?: number,
+      filter?: (record: object, index: number) => boolean,
+      map?: (record: object, index: number) => any,
+      pipeline?: ({filter: (record: object, index: number) => boolean}|{map: (record: object, index: number) => any})[],
+      groupBy?: string|((record: object, index: number) => any),
+      startAt?: number,
+      resume?: {startAt: number, output?: {offset: number, records: number, begun: boolean}},
+      checkpointEvery?: number,
+      onCheckpoint?: (checkpoint: {row: number, startAt: number, rowsProcessed: number, output?: object}) => void,
+      skipEmptyRows?: boolean,
+      stopAtFirstEmptyRow?: boolean,
+      trimTrailingEmptyColumns?: boolean,
+      logger?: {debug?: Function, info?: Function, warn?: Function, error?: Function},
+      logLevel?: "debug"|"info"|"warn"|"error"|"silent"
     }} options An object with processing options.
    */
   constructor(options) {
     this.options = options;
+    this._logger = createLogger(options && options.logger, options && options.logLevel);
     this._header = null;
     this._hasSchemaErr = false;
     this._outStream = null;
-    this._hasRecord = false;
+    this._writer = null;
+    this._hasBegun = false;
     this._items = [];
+    this._validationErrors = [];
+    this._stages = [];
+    this._error = null;
+    this._reading = false;
     this._eventHandlers = {};
     this._eventHandlerCount = 0;
   }
@@ -45,9 +113,34 @@ class FastXlsxReader {
     return this._outStream !== null && this._outStream !== undefined;
   }
 
+  /** Get the output format: "json" (default), "ndjson", "csv", "tsv" or a registered one. */
+  get format() {
+    return (this.options.format || "json").toLowerCase();
+  }
+
   /** Is the output format "json"? */
   get isJson() {
-    return this.options.format === "json";
+    return this.format === "json";
+  }
+
+  /**
+   * Get the schema of the records (the 'schema' option), with its type names
+   * resolved. Schema files and JSON Schema documents are loaded and converted once.
+   * @returns {object|undefined}
+   */
+  get schema() {
+    const {
+      schema
+    } = this.options;
+
+    if (!schema) return undefined;
+
+    if (this._schemaSource !== schema) {
+      this._schema = normalizeSchema(schema);
+      this._schemaSource = schema;
+    }
+
+    return this._schema;
   }
 
   /** Get the header. */
@@ -60,6 +153,14 @@ class FastXlsxReader {
     return this._currentRow;
   }
 
+  /**
+   * Get the validation errors reported so far.
+   * @returns {{row: number, column: string, value: any, reason: string}[]}
+   */
+  get validationErrors() {
+    return this._validationErrors;
+  }
+
   /**
    * Add an event handler.
    * @param {string} event The name of the event to listen to.
@@ -108,63 +209,116 @@ class FastXlsxReader {
 
   /**
    * Read sequentially the rows contained in an Excel sheet (specified in the options).
+   * When the 'sheetname' option selects several sheets, they are read one after
+   * the other and the items are keyed by sheet name.
+   * @returns {Promise<{items: any[]|object|null, rowsProcessed: number, errors: object[]}>}
+   * A promise that resolves once all rows have been read and the output (if any)
+   * has been flushed, or rejects with a FastXlsxError.
    */
-  read() {
+  async read() {
+    if (isSheetSelection(this.options.sheetname)) return this._readSheets();
+
     const {
       input,
       sheetname,
-      schema,
       hasHeader = true,
       lowerCaseHeaders,
       onRecord,
       onCell,
       onError,
       useMemoryForItems, // useful when no onRecord handler and no output provided
-      backwards
+      backwards,
+      streaming
     } = this.options;
 
-    console.log("Reading Excel file...", input);
+    // resolved when reading starts, so that errors are reported like the others
+    let schema;
+
+    const readerOptions = this._sheetReaderOptions();
+
+    this._logger.info("Reading Excel file...", describeInput(input));
 
     const eventNames = [...DEFAULT_EVENTS];
     if (typeof onCell === "function") eventNames.push("cell");
 
     this._rowsProcessed = 0;
-    this._hasRecord = false;
-    this._createOutStream();
-    this._writeHeader();
+    this._hasBegun = false;
+    this._hasStarted = false;
+    this._hasSchemaErr = false;
+    this._items = [];
+    this._validationErrors = [];
+    this._error = null;
+    this._finalizing = null;
+    this._resetRowState();
+    this._reading = true;
     this._sheetReaderInstance = { _startRow: 0 };
 
-    FastXlsxReader.iterate(
-      input,
-      sheetname,
-      (eventName, data, rowIndex, colIndex) => {
-        if (eventName === 'start') {
+    const callback = (eventName, data, rowIndex, colIndex) => {
+      if (eventName === 'start') {
+        // the sheet reader may raise this event more than once
+        if (!this._hasStarted) {
+          this._hasStarted = true;
           this._createOutStream();
-          this._writeHeader();
-          // the 'start' event's third param (after the 'this' arg) is the sheet reader instance
-          this._sheetReaderInstance = data || this._sheetReaderInstance;
-        } else {
-          this._handleCallbackEvent(eventName, data, rowIndex, colIndex, schema, hasHeader,
-            lowerCaseHeaders, onRecord, onError, useMemoryForItems);
         }
-      },
-      eventNames,
-      this, // thisArg for the callback
-      backwards
-    );
+        // the 'start' event's third param (after the 'this' arg) is the sheet reader instance
+        this._sheetReaderInstance = data || this._sheetReaderInstance;
+      } else {
+        return this._handleCallbackEvent(eventName, data, rowIndex, colIndex, schema, hasHeader,
+          lowerCaseHeaders, onRecord, onError, useMemoryForItems);
+      }
+    };
+
+    try {
+      schema = this.schema;
+
+      // streams are read into memory: the sheet readers need random access
+      const source = await resolveInput(input);
+
+      if (streaming) {
+        await FastXlsxReader.iterateAsync(
+          source,
+          sheetname,
+          callback,
+          eventNames,
+          this, // thisArg for the callback
+          readerOptions
+        );
+      } else {
+        FastXlsxReader.iterate(
+          source,
+          sheetname,
+          callback,
+          eventNames,
+          this, // thisArg for the callback
+          backwards,
+          readerOptions
+        );
+      }
+
+      if (!this._error) {
+        return await (this._finalizing || this._finalize());
+      }
+    } catch (error) {
+      if (!this._error) this._fail(error);
+    } finally {
+      this._reading = false;
+    }
+
+    await this._writeFooter(true).catch(() => {});
+    throw this._error;
   }
 
   /**
    * Create and return an instance of the FastXlsxSheetReader class
-   * using specified options.
-   * @returns {FastXlsxSheetReader} An initialized instance of the 
-   * FastXlsxSheetReader class.
+   * using specified options. When the 'streaming' option is set, an
+   * instance of the FastXlsxStreamReader class is returned instead.
+   * @returns {FastXlsxSheetReader|FastXlsxStreamReader} An initialized
+   * instance of the FastXlsxSheetReader (or FastXlsxStreamReader) class.
    */
   createReader() {
     const {
       input,
       sheetname,
-      schema,
       hasHeader = true,
       lowerCaseHeaders,
       onRecord,
@@ -173,42 +327,441 @@ class FastXlsxReader {
       useMemoryForItems // useful when no onRecord handler and no output provided
     } = this.options;
 
-    console.log("Creating Excel file reader...", input);
+    if (isSheetSelection(sheetname))
+      throw new ReadError("createReader() reads a single sheet: use read() or iterate over the records to read several sheets.");
+
+    const schema = this.schema;
+
+    this._logger.info("Creating Excel file reader...", describeInput(input));
 
     const eventNames = [...DEFAULT_EVENTS];
     if (typeof onCell === "function") eventNames.push("cell");
 
     this._rowsProcessed = 0;
-    this._hasRecord = false;
+    this._hasBegun = false;
+    this._resetRowState();
 
     return FastXlsxReader.createSheetReader(
       input,
       sheetname,
       (eventName, data, rowIndex, colIndex) => {
-        this._handleCallbackEvent(eventName, data, rowIndex, colIndex, schema, hasHeader,
+        return this._handleCallbackEvent(eventName, data, rowIndex, colIndex, schema, hasHeader,
           lowerCaseHeaders, onRecord, onError, useMemoryForItems);
       },
       eventNames,
-      undefined // thisArg for the callback; 
-                // undefined falls back to the FastXlsxSheetReader instance being created
+      undefined, // thisArg for the callback; 
+                 // undefined falls back to the FastXlsxSheetReader instance being created
+      this._sheetReaderOptions()
     );
   }
 
+  /**
+   * Iterate asynchronously over the records of the Excel sheet specified in
+   * the options. The 'hasHeader', 'schema' and 'lowerCaseHeaders' options
+   * are applied to each row, but the 'onRecord' callback and the 'output'
+   * option are ignored. Rows are only read when the consumer asks for them.
+   * When several sheets are selected, their records are yielded one sheet after the other.
+   * @returns {AsyncIterator<object>} An asynchronous iterator of records, which
+   * rejects with a FastXlsxError.
+   */
+  async *[Symbol.asyncIterator]() {
+    try {
+      if (isSheetSelection(this.options.sheetname)) yield* this._iterateSheets();
+      else yield* this._iterateSheet();
+    } catch (error) {
+      // errors are reported like those of read()
+      throw FastXlsxError.from(error);
+    }
+  }
+
+  /**
+   * Iterate over the records of the sheet selected by the 'sheetname' option.
+   * @returns {AsyncIterator<object>} An asynchronous iterator of records.
+   */
+  async *_iterateSheet() {
+    const {
+      input,
+      sheetname,
+      lowerCaseHeaders,
+      onError
+    } = this.options;
+    const schema = this.schema;
+
+    const source = await resolveInput(input);
+    const reader = FastXlsxReader._newSheetReader(source, sheetname, this, this._sheetReaderOptions());
+    this._sheetReaderInstance = reader;
+
+    this._rowsProcessed = 0;
+    this._resetRowState();
+    this._hasSchemaErr = false;
+    this._validationErrors = [];
+    this._error = null;
+
+    try {
+      let row;
+      while ((row = await reader.readNext()) !== null) {
+        const index = reader.rowIndex;
+
+        if (!this._isDataRow(row, index, reader.startRow)) {
+          if (this._error) throw this._error;
+          continue;
+        }
+
+        const record = this._toRecord(row, index, schema, lowerCaseHeaders, onError);
+        if (this._error) throw this._error;
+
+        if (!this._isRejected(record)) {
+          const output = this._transform(record, index);
+          if (this._error) throw this._error;
+
+          if (output !== null && this._grouping) {
+            const group = this._addToGroup(output, index);
+            if (this._error) throw this._error;
+            if (group) yield group.record;
+          } else if (output !== null) {
+            yield output;
+          }
+        }
+        // the record has been consumed once the iteration resumes
+        this._rowHandled(index);
+        if (this._limitReached) break;
+      }
+
+      this._ensureHeaderFound();
+      if (this._error) throw this._error;
+
+      const group = this._flushGroup();
+      if (group) yield group.record;
+      this._checkpoint();
+    } finally {
+      reader.destroy();
+    }
+  }
+
+  /**
+   * Create an object-mode Readable stream of the records contained in the
+   * Excel sheet specified in the options. Records are read on demand, so the
+   * stream honours backpressure when piped to a slower destination.
+   * @returns {Readable} A Readable stream of records, which emits a FastXlsxError
+   * on failure.
+   */
+  toStream() {
+    return Readable.from(this[Symbol.asyncIterator](), { objectMode: true });
+  }
+
+  /**
+   * Return the options of the sheet readers created by this instance.
+   */
+  _sheetReaderOptions() {
+    const {
+      streaming,
+      cellDates,
+      timeZone,
+      valueMode,
+      fillMergedCells,
+      hasHeader = true,
+      headerRows = 1,
+      columns,
+      range,
+      skipEmptyRows,
+      stopAtFirstEmptyRow,
+      trimTrailingEmptyColumns,
+      skipHiddenSheets,
+      skipVeryHiddenSheets,
+      logger,
+      logLevel
+    } = this.options;
+
+    return {
+      streaming,
+      cellDates,
+      timeZone,
+      valueMode,
+      fillMergedCells,
+      range,
+      // columns selected by name are resolved once the header has been read
+      columns: hasHeader && hasColumnNames(columns) ? undefined : columns,
+      // don't read the empty rows and columns past the data
+      trimToUsedRange: !!(skipEmptyRows || stopAtFirstEmptyRow || trimTrailingEmptyColumns),
+      // multi-row headers need the merged ranges of the header bands
+      preloadMerges: hasHeader && headerRows > 1,
+      // the workbook shared by the sheets of a multi-sheet read
+      workbook: this._workbook,
+      skipHiddenSheets,
+      skipVeryHiddenSheets,
+      logger,
+      logLevel
+    };
+  }
+
+  /**
+   * Read the sheets selected by the 'sheetname' option, each with its own
+   * header and schema ('schemas' option). The output is either one file per
+   * sheet (an 'output' path containing "{sheet}") or a single JSON object
+   * keyed by sheet name.
+   * @returns {Promise<{items: object|null, rowsProcessed: number, errors: object[]}>}
+   */
+  async _readSheets() {
+    const {
+      input,
+      sheetname,
+      output,
+      writer,
+      onFinish,
+      startAt,
+      resume
+    } = this.options;
+
+    if (startAt !== undefined || resume !== undefined)
+      throw new ReadError("The 'startAt' and 'resume' options can only be used to read a single sheet.");
+
+    this._logger.info("Reading Excel file...", describeInput(input));
+
+    this._rowsProcessed = 0;
+    this._items = {};
+    this._validationErrors = [];
+    this._error = null;
+    this._reading = true;
+
+    const perSheet = hasSheetPlaceholder(output);
+    // a writer object handles the output by itself
+    const combined = output !== undefined && output !== null && !perSheet &&
+      !(writer && typeof writer !== "function");
+    let hasItems = false;
+
+    try {
+      if (combined && (writer || !this.isJson))
+        throw new OutputError(
+          "Several sheets can only be written to a single output in the json format: " +
+          "use an output path containing \"{sheet}\" to write one file per sheet."
+        );
+
+      const source = await resolveInput(input);
+      const names = selectSheets(await this._readSheetList(source), sheetname, this.options);
+
+      if (combined) {
+        this._openOutStream(output);
+        this._outStream.write("{");
+      }
+
+      for (let i = 0; i < names.length; i++) {
+        const name = names[i];
+        const options = {
+          onFinish: undefined
+        };
+
+        if (perSheet) {
+          options.output = sheetOutputPath(output, name);
+        } else if (combined) {
+          this._outStream.write((i > 0 ? "," : "") + JSON.stringify(name) + ":");
+          options.writer = new JsonWriter(this._outStream);
+        }
+
+        let result;
+        try {
+          result = await this._forSheet(name, source, options).read();
+        } catch (error) {
+          // already reported by the sheet's reader
+          this._error = error;
+          break;
+        }
+
+        this._rowsProcessed += result.rowsProcessed;
+        this._validationErrors.push(...FastXlsxReader._sheetErrors(result.errors, name));
+
+        if (result.items) {
+          hasItems = true;
+          this._items[name] = result.items;
+        }
+
+        // the output stream may have failed
+        if (this._error) break;
+      }
+
+      if (combined && !this._error) this._outStream.write("}");
+      await this._writeFooter();
+    } catch (error) {
+      if (!this._error) this._fail(error);
+    } finally {
+      this._workbook = undefined;
+      this._reading = false;
+    }
+
+    if (this._error) {
+      await this._writeFooter(true).catch(() => {});
+      throw this._error;
+    }
+
+    const items = hasItems ? this._items : null;
+    const rowsProcessed = this._rowsProcessed;
+    const errors = this._validationErrors;
+
+    if (typeof onFinish === "function") {
+      onFinish.call(this, items, rowsProcessed, errors);
+    }
+
+    return {
+      items,
+      rowsProcessed,
+      errors
+    };
+  }
+
+  /**
+   * Iterate over the records of the sheets selected by the 'sheetname' option.
+   * @returns {AsyncIterator<object>} An asynchronous iterator of records.
+   */
+  async *_iterateSheets() {
+    const {
+      input,
+      sheetname,
+      startAt,
+      resume
+    } = this.options;
+
+    if (startAt !== undefined || resume !== undefined)
+      throw new ReadError("The 'startAt' and 'resume' options can only be used to read a single sheet.");
+
+    this._rowsProcessed = 0;
+    this._validationErrors = [];
+    this._error = null;
+
+    try {
+      const source = await resolveInput(input);
+      const names = selectSheets(await this._readSheetList(source), sheetname, this.options);
+
+      for (const name of names) {
+        const reader = this._forSheet(name, source);
+        try {
+          yield* reader;
+        } finally {
+          this._rowsProcessed += reader._rowsProcessed;
+          this._validationErrors.push(...FastXlsxReader._sheetErrors(reader.validationErrors, name));
+        }
+      }
+    } finally {
+      this._workbook = undefined;
+    }
+  }
+
+  /**
+   * Return the sheets of the workbook, with their visibility. Without streaming,
+   * the workbook is kept so that the readers of the selected sheets can share it.
+   * @param {string|Buffer} source The Excel file name, or its content.
+   * @returns {Promise<{name: string, hidden: number}[]>}
+   */
+  async _readSheetList(source) {
+    const {
+      streaming,
+      cellDates
+    } = this.options;
+
+    const reader = FastXlsxReader._newSheetReader(source, undefined, this, {
+      streaming,
+      cellDates
+    });
+
+    try {
+      if (streaming) await reader.open();
+      else this._workbook = reader.book;
+      return reader.sheets;
+    } finally {
+      reader.destroy();
+    }
+  }
+
+  /**
+   * Create a reader of a single sheet, with the options of this instance.
+   * The sheet's reader has its own header, and uses the sheet's schema from
+   * the 'schemas' option (or the 'schema' option) and the event handlers of
+   * this instance. The errors it reports carry the name of the sheet ('sheet' property).
+   * @param {string} name The name of the sheet.
+   * @param {string|Buffer} source The Excel file name, or its content.
+   * @param {object} options Optional: The options to override.
+   * @returns {FastXlsxReader}
+   */
+  _forSheet(name, source, options) {
+    const {
+      schema,
+      schemas,
+      onError
+    } = this.options;
+
+    const sheetSchema = schemas && Object.prototype.hasOwnProperty.call(schemas, name) ?
+      schemas[name] :
+      schema;
+
+    const reader = new FastXlsxReader(Object.assign({}, this.options, {
+      input: source,
+      sheetname: name,
+      schema: sheetSchema,
+      onError: error => {
+        error.sheet = name;
+        if (typeof onError === "function") onError.call(reader, error);
+      }
+    }, options));
+
+    reader._workbook = this._workbook;
+    reader._eventHandlers = this._eventHandlers;
+    reader._eventHandlerCount = this._eventHandlerCount;
+    return reader;
+  }
+
+  /**
+   * Reset the state of the header and of the data rows before reading.
+   */
+  _resetRowState() {
+    this._header = null;
+    this._headerRows = null;
+    this._headerStart = undefined;
+    this._dataRows = 0;
+    this._limitReached = false;
+    this._stages = this._createPipeline();
+    this._grouping = this.options.groupBy !== undefined && this.options.groupBy !== null;
+    this._group = null;
+
+    const {
+      startAt,
+      resume
+    } = this.options;
+
+    this._startAt = resume && resume.startAt > 0 ? resume.startAt : (startAt > 0 ? startAt : 0);
+    this._resumeOutput = null;
+    this._outputStart = 0;
+    this._recordsWritten = 0;
+    this._lastRow = undefined;
+    this._checkpointRow = undefined;
+    this._uncheckedRows = 0;
+  }
+
+  /**
+   * Return how to convert dates: the workbook's date system and the time zone.
+   */
+  _dateOptions() {
+    const reader = this._sheetReaderInstance;
+    return {
+      epoch1904: !!(reader && reader.epoch1904),
+      timeZone: this.options.timeZone
+    };
+  }
+
+  /**
+   * Handle an event raised by the sheet reader.
+   * @returns {boolean} true to request the sheet reader to abort, otherwise false.
+   */
   _handleCallbackEvent(eventName, data, rowIndex, colIndex, schema, hasHeader,
     lowerCaseHeaders, onRecord, onError, useMemoryForItems) {
     switch (eventName) {
       case "start":
         this._sheetReaderInstance = data || this._sheetReaderInstance;
         break;
-      case "cell":
+      case "cell": {
+        const { onCell } = this.options;
         onCell.call(this, data, rowIndex, colIndex);
         break;
+      }
       case "record":
-        const isStart = rowIndex === this._sheetReaderInstance._startRow;
-        if (isStart) {
-          this._readHeader(data);
-        }
-        if (hasHeader && isStart) {
+        if (!this._isDataRow(data, rowIndex, this._sheetReaderInstance._startRow)) {
           data = this._header;
         } else {
           data = this._readRow(
@@ -220,13 +773,19 @@ class FastXlsxReader {
             onError,
             useMemoryForItems
           );
+          if (!this._error) this._rowHandled(rowIndex);
         }
         break;
       case "end":
-        this._finalize();
+        if (!this._error) this._ensureHeaderFound();
+        if (!this._error) {
+          this._finalizing = this._finalize();
+          // failures are reported through _fail; read() awaits the same promise
+          this._finalizing.catch(() => {});
+        }
         break;
       case "error":
-        this._quit(1, data);
+        this._fail(data);
         break;
       default:
         break;
@@ -234,6 +793,8 @@ class FastXlsxReader {
 
     if (this._eventHandlerCount > 0)
       this._fireEvent(eventName, data, rowIndex, colIndex);
+
+    return !!this._error || this._limitReached;
   }
 
   _fireEvent(name, data, rowIndex, colIndex) {
@@ -245,97 +806,561 @@ class FastXlsxReader {
     }
   }
 
-  _readHeader(row) {
+  /**
+   * Locate the header and the data rows of the sheet, and read the header.
+   * Rows above the header ('headerRow', 'skipRows' and 'headerRow: "auto"'
+   * options) and between the header and the first data row ('dataStartRow'
+   * option) are skipped, as well as the rows before 'startAt', the empty rows
+   * ('skipEmptyRows' and 'stopAtFirstEmptyRow' options) and the rows past the
+   * 'maxRows' limit. Multi-row headers ('headerRows' option) are flattened once all
+   * their rows have been read.
+   * @param {any[]} row The row values.
+   * @param {number} index The zero-based index of the row.
+   * @param {number} startRow The index of the first row of the sheet.
+   * @returns {boolean} true if the row is a data row, false if it belongs
+   * to the header or is skipped.
+   */
+  _isDataRow(row, index, startRow) {
     const {
-      schema,
-      lowerCaseHeaders: lowerCase,
       hasHeader = true,
-      headerPrefix = "header_",
-      onHeader
+      headerRow,
+      headerRows = 1,
+      dataStartRow,
+      skipRows = 0,
+      maxRows,
+      skipEmptyRows,
+      stopAtFirstEmptyRow
     } = this.options;
 
-    if (!hasHeader) {
-      this._header = [];
-      if (!!schema) {
-        // create header from the provided schema
-        for (const key in schema) {
-          this._header.push(key);
-        }
+    if (this._limitReached) return false;
+
+    if (this._headerStart === undefined) {
+      if (hasHeader && headerRow === "auto") {
+        if (!this._detectHeader(row, index, startRow)) return false;
+        this._headerStart = index;
       } else {
-        // no schema, give arbitrary header names
-        for (let i = 1; i <= row.length; i++) {
-          const name = headerPrefix + i;
-          this._header.push(lowerCase ? name.toLowerCase() : name);
-        }
-        console.log("Created arbitrary header: ", this._header);
+        // row numbers are 1-based, as displayed by Excel
+        this._headerStart = headerRow > 0 ? headerRow - 1 : startRow + skipRows;
       }
-    } else {
-      this._header = FastXlsxReader._normalizeHeader(row, !schema && lowerCase);
     }
 
-    if (hasHeader)
-      this._rowsProcessed++; // the header is a row, so it counts
+    const headerStart = this._headerStart;
+    const offset = index - headerStart;
 
-    if (typeof onHeader === "function") {
-      onHeader.call(this, this._header);
+    if (hasHeader && offset >= 0 && offset < headerRows) {
+      // rows are stored by offset, as they may be read backwards
+      const rows = this._headerRows || (this._headerRows = []);
+      rows[offset] = row;
+
+      if (rows.filter(r => r !== undefined).length === headerRows) {
+        this._readHeader(this._selectColumns(this._flattenHeader(rows, headerStart)));
+      } else {
+        this._rowsProcessed++;
+      }
+      return false;
     }
-  }
 
-  _readRow(
-    row,
-    index,
-    schema,
-    lowerCase,
-    onRecord,
-    onError,
-    useMemoryForItems
-  ) {
-    let record;
+    const dataStart = dataStartRow > 0 ? dataStartRow - 1 :
+      headerStart + (hasHeader ? headerRows : 0);
 
-    if (!!schema) {
-      record = this._rowFromSchema(row, schema, onError);
-    } else {
-      record = this._rowFromHeader(row, lowerCase);
+    if (index < dataStart) return false;
+
+    // rows before the row to resume from are not read ('startAt' and 'resume' options)
+    if (index < this._startAt) {
+      const reader = this._sheetReaderInstance;
+      // sheet readers with random access move straight to that row
+      if (!this.options.backwards && reader && typeof reader.skipTo === "function")
+        reader.skipTo(this._startAt);
+      return false;
     }
 
-    this._rowsProcessed++;
-    this._currentRow = record;
+    if ((skipEmptyRows || stopAtFirstEmptyRow) && FastXlsxReader._isEmptyRow(row)) {
+      if (stopAtFirstEmptyRow) this._limitReached = true;
+      return false;
+    }
 
-    if (typeof onRecord === "function") onRecord.call(this, record, index);
-    else if (useMemoryForItems && !this.hasStream) this._items.push(record);
+    if (!hasHeader && !this._header) this._readHeader(row);
 
-    this._writeRecord(record);
-    return record;
+    if (maxRows > 0 && ++this._dataRows >= maxRows) this._limitReached = true;
+    return true;
   }
 
-  _rowFromSchema(row, schema, onError) {
-    const obj = {};
-    this._header.forEach((column, index) => {
-      const meta = schema[column];
-      if (meta) {
-        const {
-          prop,
-          type: cast
-        } = meta;
-        let value = row[index];
-        if (value === undefined || value === null)
-          value = "";
-        if (typeof cast === "function") {
-          if (cast.prototype.constructor.name === "Date") {
-            obj[prop] = tryConvertDate(value);
-          } else
-            obj[prop] = cast(value);
-        } else obj[prop] = value;
-      } else if (!this._hasSchemaErr) {
-        this._hasSchemaErr = true;
-        const msg = `#ERR_SCHEMA: Invalid schema! No mapping for column "${column}".`;
-        onError && onError.call(this, msg);
-        console.error(msg, schema);
-        this._quit();
-      }
-    });
-    return obj;
-  }
+  /**
+   * Select the columns named in the 'columns' option, once the header is known.
+   * The sheet reader then only reads the selected columns.
+   * @param {any[]} header The header row.
+   * @returns {any[]} The header of the selected columns.
+   */
+  _selectColumns(header) {
+    const {
+      columns,
+      headerMatching
+    } = this.options;
+
+    if (!hasColumnNames(columns)) return header;
+
+    const reader = this._sheetReaderInstance;
+    const startCol = reader.startCol || 0;
+    let indices;
+
+    try {
+      indices = resolveColumnIndices(columns, header.map(FastXlsxReader._headerText), startCol,
+        headerMatching);
+    } catch (error) {
+      this._fail(new SchemaError(error.message));
+      return header;
+    }
+
+    reader.selectColumns(indices);
+    return indices.map(c => header[c - startCol]);
+  }
+
+  /**
+   * Is the specified row the header? With a schema, the header is the first row
+   * in which at least half of the schema's columns are found; otherwise, it is
+   * the first row that mostly contains non-empty strings.
+   * @param {any[]} row The row values.
+   * @param {number} index The zero-based index of the row.
+   * @param {number} startRow The index of the first row of the sheet.
+   */
+  _detectHeader(row, index, startRow) {
+    const {
+      headerMatching
+    } = this.options;
+    const schema = this.schema;
+
+    let found;
+
+    if (!!schema) {
+      const header = row.map(FastXlsxReader._headerText);
+      const matches = resolveColumns(header, schema, headerMatching)
+        .filter(key => key !== undefined).length;
+      found = matches > 0 && matches * 2 >= Object.keys(schema).length;
+    } else {
+      found = FastXlsxReader._isHeaderLike(row);
+    }
+
+    if (!found && index - startRow + 1 >= HEADER_SEARCH_ROWS) {
+      this._fail(new SchemaError(`Could not find the header row in the first ${HEADER_SEARCH_ROWS} rows.`));
+    }
+
+    return found;
+  }
+
+  /**
+   * Report an error if the header row could not be detected.
+   */
+  _ensureHeaderFound() {
+    const {
+      hasHeader = true,
+      headerRow
+    } = this.options;
+
+    if (hasHeader && headerRow === "auto" && this._headerStart === undefined) {
+      this._fail(new SchemaError("Could not find the header row."));
+    }
+  }
+
+  /**
+   * Combine the rows of a multi-row header into composite column names, such
+   * as "Q1 / Revenue". The value of a merged header cell applies to all the
+   * columns of its merged range.
+   * @param {any[][]} rows The header rows.
+   * @param {number} startRow The index of the first header row.
+   * @returns {string[]} The header.
+   */
+  _flattenHeader(rows, startRow) {
+    if (rows.length === 1) return rows[0];
+
+    const { headerSeparator = " / " } = this.options;
+    const reader = this._sheetReaderInstance;
+    const startCol = reader.startCol || 0;
+    const hasMerges = typeof reader.readCellMerge === "function";
+    const width = Math.max(...rows.map(row => row.length));
+    const header = [];
+
+    for (let c = 0; c < width; c++) {
+      const parts = [];
+
+      rows.forEach((row, i) => {
+        let text = FastXlsxReader._headerText(row[c]);
+
+        if (!text && hasMerges) {
+          const merge = reader.readCellMerge(startCol + c, startRow + i);
+          const origin = merge && rows[merge.s.r - startRow];
+          if (origin) text = FastXlsxReader._headerText(origin[merge.s.c - startCol]);
+        }
+
+        // vertically merged cells appear once
+        if (text && parts[parts.length - 1] !== text) parts.push(text);
+      });
+
+      header.push(parts.length > 0 ? parts.join(headerSeparator) : undefined);
+    }
+
+    return header;
+  }
+
+  _readHeader(row) {
+    const schema = this.schema;
+    const {
+      lowerCaseHeaders: lowerCase,
+      hasHeader = true,
+      headerPrefix = "header_",
+      onHeader,
+      trimTrailingEmptyColumns
+    } = this.options;
+
+    if (!hasHeader) {
+      this._header = [];
+      if (!!schema) {
+        // create header from the provided schema
+        for (const key in schema) {
+          this._header.push(key);
+        }
+      } else {
+        // no schema, give arbitrary header names
+        for (let i = 1; i <= row.length; i++) {
+          const name = headerPrefix + i;
+          this._header.push(lowerCase ? name.toLowerCase() : name);
+        }
+        this._logger.debug("Created arbitrary header:", this._header);
+      }
+    } else {
+      this._header = FastXlsxReader._normalizeHeader(row, !schema && lowerCase);
+      if (trimTrailingEmptyColumns) {
+        while (this._header.length > 0 && !this._header[this._header.length - 1])
+          this._header.pop();
+      }
+    }
+
+    this._schemaKeys = null;
+
+    if (hasHeader)
+      this._rowsProcessed++; // the header is a row, so it counts
+
+    if (typeof onHeader === "function") {
+      onHeader.call(this, this._header);
+    }
+
+    this._writeHeader();
+  }
+
+  _readRow(
+    row,
+    index,
+    schema,
+    lowerCase,
+    onRecord,
+    onError,
+    useMemoryForItems
+  ) {
+    const record = this._toRecord(row, index, schema, lowerCase, onError);
+
+    // don't emit rows that failed to map
+    if (this._error || this._isRejected(record)) return record;
+
+    const output = this._transform(record, index);
+    if (output === null) return record;
+
+    if (this._grouping) {
+      // a group is emitted once the key changes, the last one when reading ends
+      const group = this._addToGroup(output, index);
+      if (group) this._emitRecord(group.record, group.index, onRecord, useMemoryForItems);
+    } else {
+      this._emitRecord(output, index, onRecord, useMemoryForItems);
+    }
+
+    return output;
+  }
+
+  /**
+   * Pass a record to the 'onRecord' callback (or keep it in memory) and write it.
+   * @param {any} record The record, or the group of records.
+   * @param {number} index The zero-based index of the row (of the first row of a group).
+   */
+  _emitRecord(record, index, onRecord, useMemoryForItems) {
+    if (typeof onRecord === "function") onRecord.call(this, record, index);
+    else if (useMemoryForItems && !this.hasStream) this._items.push(record);
+
+    this._writeRecord(record);
+  }
+
+  /**
+   * Add a record to the group of consecutive records that share the same key
+   * ('groupBy' option). Records with an empty key belong to the current group,
+   * such as the line items that follow an order row.
+   * @param {any} record The record.
+   * @param {number} index The zero-based index of the row.
+   * @returns {{record: {key: any, rows: any[]}, index: number}|null} The previous group
+   * and the index of its first row, if the key has changed, otherwise null.
+   */
+  _addToGroup(record, index) {
+    const {
+      groupBy
+    } = this.options;
+
+    let key;
+    try {
+      key = typeof groupBy === "function" ?
+        groupBy.call(this, record, index) :
+        getProp(record, groupBy);
+    } catch (error) {
+      this._fail(new TransformError(`Grouping failed in row ${index + 1}: ${error.message}`,
+        index, error));
+      return null;
+    }
+
+    const group = this._group;
+
+    if (group && (isEmpty(key) || sameKey(group.record.key, key))) {
+      group.record.rows.push(record);
+      return null;
+    }
+
+    this._group = {
+      record: { key: isEmpty(key) ? null : key, rows: [record] },
+      index
+    };
+    return group;
+  }
+
+  /**
+   * Return the last group of records (if any) once all rows have been read.
+   * @returns {{record: {key: any, rows: any[]}, index: number}|null}
+   */
+  _flushGroup() {
+    const group = this._group;
+    this._group = null;
+    return group;
+  }
+
+  /**
+   * Count a data row as handled (emitted, filtered out or rejected), and report
+   * a checkpoint every 'checkpointEvery' rows.
+   * @param {number} index The zero-based index of the row.
+   */
+  _rowHandled(index) {
+    const {
+      onCheckpoint,
+      checkpointEvery = DEFAULT_CHECKPOINT_ROWS
+    } = this.options;
+
+    this._lastRow = index;
+
+    if (typeof onCheckpoint === "function" && ++this._uncheckedRows >= checkpointEvery)
+      this._checkpoint();
+  }
+
+  /**
+   * Report the last committed row to the 'onCheckpoint' callback: all the rows up
+   * to it have been handled, and their output (if written to a file) has been
+   * flushed. Passing the checkpoint to the 'resume' option continues from the next row.
+   */
+  _checkpoint() {
+    const {
+      onCheckpoint
+    } = this.options;
+
+    if (typeof onCheckpoint !== "function" || this._uncheckedRows === 0) return;
+    this._uncheckedRows = 0;
+
+    // the rows of the pending group have not been emitted yet
+    const row = this._group ? this._group.index - 1 : this._lastRow;
+    if (row === this._checkpointRow) return;
+    this._checkpointRow = row;
+
+    const checkpoint = {
+      row,
+      startAt: row + 1,
+      rowsProcessed: this._rowsProcessed
+    };
+
+    const stream = this._outStream;
+
+    if (stream && typeof this.options.output === "string") {
+      // the position of the output file after the last record written
+      checkpoint.output = {
+        offset: this._outputStart + stream.bytesWritten + stream.writableLength,
+        records: this._recordsWritten,
+        // the writer begins with the first record when records are reshaped
+        begun: this._hasBegun
+      };
+      // the callback of an empty write is invoked once the previous writes are flushed
+      stream.write("", error => {
+        if (!error) onCheckpoint.call(this, checkpoint);
+      });
+    } else {
+      onCheckpoint.call(this, checkpoint);
+    }
+  }
+
+  /**
+   * Run a record through the 'filter', 'map' and 'pipeline' stages.
+   * @param {object} record The record.
+   * @param {number} index The zero-based index of the row.
+   * @returns {any} The transformed record, or null if it has been filtered
+   * out (a 'map' stage may also return null or undefined to drop the record).
+   */
+  _transform(record, index) {
+    const stages = this._stages;
+
+    for (let i = 0; i < stages.length; i++) {
+      const { filter, map } = stages[i];
+
+      try {
+        if (typeof filter === "function") {
+          if (!filter.call(this, record, index)) return null;
+        } else if (typeof map === "function") {
+          record = map.call(this, record, index);
+        } else {
+          throw new TypeError(`Invalid pipeline stage #${i + 1}: a filter or map function is expected.`);
+        }
+      } catch (error) {
+        this._fail(new TransformError(`Transform failed in row ${index + 1}: ${error.message}`,
+          index, error));
+        return null;
+      }
+
+      if (record === undefined || record === null) return null;
+    }
+
+    return record;
+  }
+
+  /**
+   * Return the stages of the pipeline: the 'filter' and 'map' options
+   * come first, followed by the stages of the 'pipeline' option.
+   */
+  _createPipeline() {
+    const {
+      filter,
+      map,
+      pipeline
+    } = this.options;
+
+    const stages = [];
+    if (typeof filter === "function") stages.push({ filter });
+    if (typeof map === "function") stages.push({ map });
+    if (pipeline instanceof Array) stages.push(...pipeline.map(stage => stage || {}));
+    return stages;
+  }
+
+  /**
+   * Do 'map' stages or the 'groupBy' option reshape the records?
+   */
+  _isReshaped() {
+    return this._grouping || this._stages.some(stage => typeof stage.map === "function");
+  }
+
+  _toRecord(row, index, schema, lowerCase, onError) {
+    let record;
+
+    if (!!schema) {
+      record = this._rowFromSchema(row, schema, onError, index);
+    } else {
+      record = this._rowFromHeader(row, lowerCase);
+    }
+
+    this._rowsProcessed++;
+    this._currentRow = record;
+    return record;
+  }
+
+  _rowFromSchema(row, schema, onError, rowIndex) {
+    const obj = {};
+    const mapped = [];
+    const dateOptions = this._dateOptions();
+
+    const map = (column, meta, raw) => {
+      const {
+        value,
+        reason
+      } = mapValue(meta, raw, dateOptions);
+      setProp(obj, meta.prop, value);
+      mapped.push({ column, meta, raw, value, reason });
+    };
+
+    const keys = this._resolveSchemaKeys(schema);
+    const {
+      allowExtraColumns
+    } = this.options;
+
+    this._header.forEach((column, index) => {
+      const key = keys[index];
+      if (key !== undefined) {
+        map(column, schema[key], row[index]);
+      } else if (FastXlsxReader._headerText(column) === undefined) {
+        // the columns without a name, such as those past the data in a wider declared range
+        return;
+      } else if (!allowExtraColumns && !this._hasSchemaErr) {
+        this._hasSchemaErr = true;
+        const msg = `#ERR_SCHEMA: Invalid schema! No mapping for column "${column}".`;
+        this._logger.error(msg);
+        this._fail(new SchemaError(msg, column));
+      }
+    });
+
+    // schema columns that are not in the sheet: apply defaults, report required ones
+    for (const column in schema) {
+      if (keys.indexOf(column) === -1) map(column, schema[column], undefined);
+    }
+
+    // validate once the record is complete, so that custom validators can use it
+    const errors = [];
+    mapped.forEach(({ column, meta, raw, value, reason }) => {
+      reason = reason || validateValue(meta, value, obj);
+      if (reason) {
+        errors.push({
+          row: rowIndex,
+          column,
+          value: raw,
+          reason
+        });
+      }
+    });
+
+    if (errors.length > 0) {
+      Object.defineProperty(obj, "$errors", { value: errors });
+      this._validationErrors.push(...errors);
+    }
+
+    return obj;
+  }
+
+  /**
+   * Return the schema key matching each header column (undefined for
+   * unmapped columns), taking aliases and the 'headerMatching' option into account.
+   * @param {object} schema The schema.
+   */
+  _resolveSchemaKeys(schema) {
+    if (!this._schemaKeys) {
+      this._schemaKeys = resolveColumns(this._header, schema, this.options.headerMatching);
+    }
+    return this._schemaKeys;
+  }
+
+  /**
+   * Should the specified record be left out because it is invalid?
+   * When the 'invalidRows' option is "stop", the first invalid record fails
+   * the operation with a ValidationError.
+   * @param {object} record The record to check.
+   */
+  _isRejected(record) {
+    const errors = record && record.$errors;
+    if (!errors) return false;
+
+    const {
+      invalidRows = "keep"
+    } = this.options;
+
+    if (invalidRows === "stop") {
+      this._fail(new ValidationError(errors));
+      return true;
+    }
+
+    return invalidRows === "skip";
+  }
 
   _rowFromHeader(row, lowerCase) {
     const obj = {};
@@ -354,99 +1379,508 @@ class FastXlsxReader {
    * It can also be undefined or null.
    */
   _createOutStream() {
-    if (!this.hasStream) {
+    if (!this.hasStream && !this._writer) {
       const {
-        output
+        output,
+        writer
       } = this.options;
 
+      if (writer && typeof writer !== "function") {
+        // a writer object that handles the output by itself
+        if (typeof writer.write !== "function")
+          throw new OutputError("The writer must have a 'write' method.");
+        this._writer = writer;
+        this._hasBegun = false;
+        return;
+      }
+
       if (output === undefined || output === null) return;
 
-      if (typeof output === "string")
-        this._outStream = fs.createWriteStream(output, {
-          flags: "w"
-        });
-      else if (typeof output.write === "function")
-        // we assume output is a WriteStream instance
-        this._outStream = output;
-      else
-        throw new Error(
-          "Output must be a string or an instance of WriteStream."
+      const factory = writer || FORMATS[this.format];
+
+      if (!factory)
+        throw new OutputError(
+          `Unsupported output format: "${this.options.format}". ` +
+          `Supported formats are ${Object.keys(FORMATS).join(", ")}.`
         );
+
+      const {
+        resume
+      } = this.options;
+
+      // continue the output file written up to the checkpoint
+      if (resume && resume.output && typeof output === "string")
+        this._resumeOutput = resume.output;
+
+      this._openOutStream(output);
+      this._writer = factory(this._outStream, this.options);
+      this._hasBegun = false;
+
+      if (this._resumeOutput && this._resumeOutput.begun !== false && typeof this._writer.resume !== "function")
+        throw new OutputError(`The ${this.format} output cannot be resumed: its writer has no 'resume' method.`);
     }
   }
 
-  _writeHeader() {
-    if (this.hasStream) {
-      if (this.isJson) this._outStream.write("[");
+  /**
+   * Open the output stream.
+   * @param {string|WriteStream} output The output file name, or a WriteStream.
+   */
+  _openOutStream(output) {
+    if (typeof output === "string" && this._resumeOutput)
+      this._outStream = FastXlsxReader._continueFile(output, this._outputStart = this._resumeOutput.offset);
+    else if (typeof output === "string")
+      this._outStream = fs.createWriteStream(output, {
+        flags: "w"
+      });
+    else if (typeof output.write === "function")
+      // we assume output is a WriteStream instance
+      this._outStream = output;
+    else
+      throw new OutputError(
+        "Output must be a string or an instance of WriteStream."
+      );
+
+    this._outStream.on("error", error => {
+      this._fail(new OutputError(`Cannot write the output: ${error.message}`, error));
+    });
+  }
+
+  /**
+   * Begin the writer (if not done yet).
+   * @param {object} record Optional: The first record to write. Records reshaped
+   * by 'map' stages or grouped don't match the header, so their own properties are used.
+   */
+  _writeHeader(record) {
+    const writer = this._writer;
+    if (writer && !this._hasBegun) {
+      const reshaped = this._isReshaped();
+      // wait for the first record to know the fields
+      if (reshaped && record === undefined) return;
+
+      this._beginWriter(writer, reshaped && record instanceof Object ? Object.keys(record) : this._outputFields());
     }
   }
 
-  _writeRecord(record) {
-    if (this.hasStream) {
-      if (this.isJson) {
-        if (this._hasRecord) this._outStream.write(",");
-        else this._hasRecord = true;
+  /**
+   * Begin the writer or, when resuming ('resume' option), let it continue the
+   * output written up to the checkpoint.
+   * @param {object} writer The writer.
+   * @param {string[]} fields The names of the record properties.
+   */
+  _beginWriter(writer, fields) {
+    this._hasBegun = true;
 
-        this._outStream.write(JSON.stringify(record));
-      }
+    // an output that had not begun at the checkpoint is empty: it begins again
+    const resumed = this._resumeOutput;
+    if (resumed && resumed.begun !== false) writer.resume(fields, resumed.records);
+    else if (typeof writer.begin === "function") writer.begin(fields);
+  }
+
+  _writeRecord(record) {
+    if (this._writer) {
+      this._writeHeader(record);
+      this._writer.write(record);
+      this._recordsWritten++;
     }
   }
 
-  _writeFooter() {
-    if (this.hasStream) {
-      if (this.isJson) {
-        this._outStream.end("]");
+  /**
+   * Return the names of the record properties, in header order.
+   */
+  _outputFields() {
+    const {
+      lowerCaseHeaders: lowerCase
+    } = this.options;
+    const schema = this.schema;
+
+    // records reshaped by 'map' stages or grouped don't have the header's fields
+    if (!(this._header instanceof Array) || this._isReshaped()) return [];
+
+    if (!!schema) {
+      // same order as the properties created by _rowFromSchema
+      const keys = this._resolveSchemaKeys(schema).filter(key => key !== undefined);
+      for (const key in schema) {
+        if (keys.indexOf(key) === -1) keys.push(key);
       }
-      this._outStream.close();
-      this._outStream = null;
+      // the entries that append to the same array share a field
+      return Array.from(new Set(keys.map(key => propField(schema[key].prop))));
     }
+
+    return this._header.map(column => lowerCase && column ? column.toLowerCase() : column);
   }
 
-  _finalize() {
-    this._writeFooter();
+  /**
+   * End the writer and the output stream (if any).
+   * @param {boolean} failed Optional: Has the read failed? The writer is not ended
+   * then, so that a partial output can't be mistaken for a complete one.
+   * @returns {Promise<void>} A promise that resolves once all the output
+   * has been flushed.
+   */
+  async _writeFooter(failed) {
+    const writer = this._writer;
+    const stream = this._outStream;
+
+    this._writer = null;
+    this._outStream = null;
+
+    if (writer && !failed && !(stream && stream.destroyed)) {
+      // the writer must produce a valid output even when there is no record
+      if (!this._hasBegun) this._beginWriter(writer, this._outputFields());
+      if (typeof writer.end === "function") await writer.end();
+    }
+
+    if (!stream || stream.destroyed) return;
+
+    await new Promise((resolve, reject) => {
+      stream.once("finish", resolve);
+      stream.once("error", reject);
+      stream.end();
+    });
+  }
 
+  /**
+   * Flush the output and invoke the 'onFinish' callback.
+   * @returns {Promise<{items: any[]|null, rowsProcessed: number}>}
+   */
+  async _finalize() {
     const {
       onFinish,
-      onRecord
+      onRecord,
+      useMemoryForItems
     } = this.options;
 
+    const group = this._flushGroup();
+    if (group) this._emitRecord(group.record, group.index, onRecord, useMemoryForItems);
+
+    // the last checkpoint is reported before the end of the output is written
+    this._checkpoint();
+
+    const items = typeof onRecord !== "function" && !this.hasStream ?
+      this._items :
+      null;
+
+    await this._writeFooter();
+
+    if (this._error) throw this._error;
+
+    const rowsProcessed = this._rowsProcessed;
+    const errors = this._validationErrors;
+
     if (typeof onFinish === "function") {
-      if (typeof onRecord !== "function" && !this.hasStream) {
-        // when writing to a file, use the 'close' event
-        // the 'end' event may fire before the file has been written
-        onFinish.call(this, this._items, this._rowsProcessed);
-      } else {
-        onFinish.call(this, null, this._rowsProcessed);
-      }
+      onFinish.call(this, items, rowsProcessed, errors);
     }
+
+    return {
+      items,
+      rowsProcessed,
+      errors
+    };
   }
 
-  _quit(code, error) {
-    this._writeFooter();
+  /**
+   * Record the first error, and report it to the 'onError' callback.
+   * Outside of read(), the error is thrown when there is no such callback.
+   * @param {Error|string} error The error to report.
+   * @returns {FastXlsxError} The reported error.
+   */
+  _fail(error) {
+    error = FastXlsxError.from(error);
+
+    if (!this._error) this._error = error;
+
     const {
       onError
     } = this.options;
+
     if (typeof onError === "function") onError.call(this, error);
-    else console.error(`#ERR: ${error}`);
-    process.exit(code || 1);
+    else if (!this._reading) throw error;
+
+    return error;
+  }
+
+  /**
+   * Open an output file to continue it from a checkpoint: what was written
+   * after the checkpoint is dropped.
+   * @param {string} output The output file name.
+   * @param {number} offset The position of the output file at the checkpoint.
+   * @returns {WriteStream}
+   */
+  static _continueFile(output, offset) {
+    try {
+      if (fs.statSync(output).size < offset)
+        throw new Error(`the file is shorter than the checkpoint (${offset} bytes)`);
+      fs.truncateSync(output, offset);
+    } catch (error) {
+      throw new OutputError(`Cannot resume the output: ${error.message}`, error);
+    }
+
+    return fs.createWriteStream(output, {
+      flags: "r+",
+      start: offset
+    });
+  }
+
+  /**
+   * Tag the validation errors of a sheet with its name.
+   * @param {object[]} errors The validation errors.
+   * @param {string} sheetname The name of the sheet.
+   */
+  static _sheetErrors(errors, sheetname) {
+    return errors.map(error => Object.assign({ sheet: sheetname }, error));
   }
 
   static _normalizeHeader(row, lowerCase) {
     row.forEach((column, index) => {
-      if (column) {
-        let col = column.toString().trim();
-        if (lowerCase) col = col.toLowerCase();
-        row[index] = col;
-      } else {
-        row[index] = undefined;
-      }
+      const col = FastXlsxReader._headerText(column);
+      row[index] = lowerCase && col !== undefined ? col.toLowerCase() : col;
     });
     return row;
   }
 
+  /**
+   * Is every cell of the specified row empty?
+   * @param {any[]} row The row values (or cell objects).
+   */
+  static _isEmptyRow(row) {
+    return row.every(FastXlsxReader._isEmptyCell);
+  }
+
+  /**
+   * Is the specified cell empty?
+   * @param {any} value The cell value (or cell object).
+   */
+  static _isEmptyCell(value) {
+    return isEmpty(value) || (value instanceof Object && value.t !== undefined && isEmpty(value.v));
+  }
+
+  /**
+   * Does the specified row mostly contain non-empty strings, like a header?
+   * The declared range of a sheet may be wider than its data, so only the non-empty
+   * cells count; a single string, such as a title, is only a header in a one-column row.
+   * @param {any[]} row The row values (or cell objects).
+   */
+  static _isHeaderLike(row) {
+    // cells are cell objects when the 'valueMode' option is "cell"
+    const isText = value => typeof value === "string" ? value.trim() !== "" :
+      !!value && value.t === "s" && !!FastXlsxReader._headerText(value);
+    const texts = row.filter(isText).length;
+    const values = row.filter(value => !FastXlsxReader._isEmptyCell(value)).length;
+    return texts * 2 > values && (texts > 1 || (texts === 1 && row.length === 1));
+  }
+
+  /**
+   * Return the trimmed text of a header cell, or undefined if it's empty.
+   * @param {any} value The value of the header cell.
+   */
+  static _headerText(value) {
+    // header cells are cell objects when the 'valueMode' option is "cell"
+    if (value && value.t !== undefined && !(value instanceof Date))
+      value = value.w !== undefined ? value.w : value.v;
+    return value ? value.toString().trim() : undefined;
+  }
+
+  /**
+   * Register an output format.
+   * @param {string} name The name of the format, as used by the 'format' option.
+   * @param {(stream: WriteStream, options: object) => {
+      begin?: (header: string[]) => void,
+      resume?: (header: string[], count: number) => void,
+      write: (record: object) => void,
+      end?: () => void|Promise<void>
+    }} factory A function that creates a writer for the specified output
+   * stream and processing options.
+   */
+  static registerFormat(name, factory) {
+    if (typeof name !== "string" || !name)
+      throw new Error("The format name must be a non-empty string.");
+    if (typeof factory !== "function")
+      throw new Error("The format factory must be a function.");
+
+    FORMATS[name.toLowerCase()] = factory;
+  }
+
+  /**
+   * Describe the sheets of a workbook, its defined names and its document
+   * properties. The workbook is parsed incrementally: the range of each sheet is
+   * the one it declares, and only the rows searched for the header are read.
+   * @param {string|Buffer|Uint8Array|ArrayBuffer|Readable} input The Excel input file
+   * name, or its content.
+   * @param {{exact?: boolean, headerSearchRows?: number}} options Optional: Set 'exact'
+   * to read the sheets to the end and return the range of the cells that contain values,
+   * rather than the declared range (which may include empty rows and columns); sheets
+   * that don't declare their range are always read to the end. 'headerSearchRows' is
+   * the number of rows searched for the header (defaults to 50).
+   * @returns {Promise<{
+      sheets: {name: string, index: number, visibility: "visible"|"hidden"|"veryHidden",
+        range: string|null, rowCount: number, colCount: number, headerRow: number|null,
+        header: string[]|null}[],
+      definedNames: {name: string, ref: string, sheet?: string, hidden: boolean}[],
+      properties: {title?: string, subject?: string, author?: string, lastModifiedBy?: string,
+        created?: Date, modified?: Date, application?: string, company?: string},
+      epoch1904: boolean
+    }>} A promise that resolves with the description of the workbook, or rejects
+   * with a FastXlsxError. 'headerRow' is the 1-based number of the first row that
+   * mostly contains text, or null if there is none.
+   */
+  static async inspect(input, options) {
+    const {
+      exact,
+      headerSearchRows = HEADER_SEARCH_ROWS
+    } = options || {};
+
+    let reader;
+
+    try {
+      // without 'trimToUsedRange', which would read the sheets twice to trim their columns
+      reader = new FastXlsxStreamReader(await resolveInput(input), undefined, null);
+      await reader.open();
+
+      const sheets = [];
+      const list = reader.sheets;
+
+      for (let index = 0; index < list.length; index++) {
+        await reader.loadSheet(index);
+
+        let headerRow = null;
+        let header = null;
+        let ended = false;
+
+        for (let i = 0; i < headerSearchRows; i++) {
+          const row = await reader.readNext();
+          if (row === null) {
+            ended = true;
+            break;
+          }
+          if (FastXlsxReader._isHeaderLike(row)) {
+            headerRow = reader.rowIndex + 1;
+            header = row.map(FastXlsxReader._headerText);
+            // the declared range may extend past the last column
+            while (header.length > 0 && header[header.length - 1] === undefined) header.pop();
+            break;
+          }
+        }
+
+        if (!ended && (exact || !reader.dimension)) {
+          while ((await reader.readNext()) !== null);
+          ended = true;
+        }
+
+        // once the sheet has been read, the range of the values is known
+        const range = ended ? reader.usedRange : reader.dimension;
+
+        sheets.push({
+          name: list[index].name,
+          index,
+          visibility: sheetVisibility(list[index].hidden),
+          range: range ? xlsx.utils.encode_range(range) : null,
+          rowCount: range ? range.e.r - range.s.r + 1 : 0,
+          colCount: range ? range.e.c - range.s.c + 1 : 0,
+          headerRow,
+          header
+        });
+      }
+
+      return {
+        sheets,
+        definedNames: reader.definedNames,
+        properties: await reader.readProperties(),
+        epoch1904: reader.epoch1904
+      };
+    } catch (error) {
+      throw FastXlsxError.from(error);
+    } finally {
+      if (reader) reader.destroy();
+    }
+  }
+
+  /**
+   * Infer a schema from the header and the first rows of an Excel sheet. The type
+   * of each column (String, Integer, Number, Boolean, Date, DateTime or Time) is
+   * inferred from the type and number format of its cells, columns that only contain
+   * a few distinct strings get an 'enum', and columns with empty cells are 'nullable'
+   * (empty rows are ignored). The 'prop' of each entry is the camelCase column name.
+   * Columns without a name are left out.
+   * @param {string|Buffer|Uint8Array|ArrayBuffer|Readable} input The Excel input file
+   * name, or its content.
+   * @param {{
+      sheetname?: string|number,
+      sampleRows?: number,
+      hasHeader?: boolean,
+      headerRow?: number|"auto",
+      headerPrefix?: string,
+      maxEnumValues?: number,
+      jsonSchema?: boolean
+    }} options Optional: 'sampleRows' is the number of rows read after the header
+   * (defaults to 100); 'hasHeader', 'headerRow' and 'headerPrefix' locate (or name)
+   * the columns like the options of the same name of read(); 'maxEnumValues' is the
+   * maximum number of distinct strings of an enum (defaults to 10, 0 disables enums).
+   * Set 'jsonSchema' to also get the JSON Schema of the records.
+   * @returns {Promise<object|{schema: object, jsonSchema: object}>} A promise that
+   * resolves with the schema (or with the schema and the JSON Schema), or rejects
+   * with a FastXlsxError.
+   */
+  static async inferSchema(input, options) {
+    const {
+      sheetname,
+      sampleRows = 100,
+      hasHeader = true,
+      headerRow,
+      headerPrefix = "header_",
+      maxEnumValues,
+      jsonSchema
+    } = options || {};
+
+    let reader;
+
+    try {
+      // the number formats of the cells tell the dates apart
+      reader = new FastXlsxSheetReader(await resolveInput(input), sheetname, null, {
+        valueMode: "cell",
+        cellDates: true,
+        trimToUsedRange: true
+      });
+
+      let index = reader.startRow;
+      let header = null;
+
+      if (hasHeader) {
+        if (headerRow === "auto") {
+          const found = reader.readMany(index, HEADER_SEARCH_ROWS).findIndex(FastXlsxReader._isHeaderLike);
+          if (found === -1)
+            throw new SchemaError(`Could not find the header row in the first ${HEADER_SEARCH_ROWS} rows.`);
+          index += found;
+        } else if (headerRow > 0) {
+          index = headerRow - 1;
+        }
+        header = (reader.readMany(index, 1)[0] || []).map(FastXlsxReader._headerText);
+        index++;
+      }
+
+      // empty rows separate the data, they don't tell whether its columns are nullable
+      const rows = reader.readMany(index, sampleRows).filter(row => !FastXlsxReader._isEmptyRow(row));
+      const width = header ? header.length : Math.max(0, ...rows.map(row => row.length));
+      const columns = [];
+
+      for (let c = 0; c < width; c++) {
+        const key = header ? header[c] : headerPrefix + (c + 1);
+        // a column is matched by its name, once
+        if (!key || columns.some(column => column.key === key)) continue;
+        columns.push({ key, cells: rows.map(row => row[c]) });
+      }
+
+      const result = createSchema(columns, { maxEnumValues });
+      return jsonSchema ? result : result.schema;
+    } catch (error) {
+      throw FastXlsxError.from(error);
+    } finally {
+      if (reader) reader.destroy();
+    }
+  }
+
   /**
    * Iterate over all rows contained in an Excel sheet.
-   * @param {string} input The Excel input file name.
+   * @param {string|Buffer|Uint8Array|ArrayBuffer} input The Excel input file name,
+   * or its content.
    * @param {string} sheetnameOrIndex Optional: The name of the sheet to iterate over.
    * If undefined, use the first sheet.
    * @param {Function} callback A  function to invoke based on different events.
@@ -456,10 +1890,13 @@ class FastXlsxReader {
    * @param {any} thisArg The object to be used as the current object when invoking
    * the callback.
    * @param {boolean} backwards true to start from the last row, otherwise false.
+   * @param {{cellDates?: boolean, timeZone?: string}} options Optional: The options
+   * of the sheet reader.
    */
-  static iterate(input, sheetnameOrIndex, callback, eventNames, thisArg, backwards) {
+  static iterate(input, sheetnameOrIndex, callback, eventNames, thisArg, backwards, options) {
     let err;
-    const reader = FastXlsxReader.createSheetReader(input, sheetnameOrIndex, callback, eventNames, thisArg);
+    const reader = FastXlsxReader.createSheetReader(input, sheetnameOrIndex, callback, eventNames, thisArg,
+      Object.assign({}, options, { streaming: false }));
     try {
       reader.readAll(backwards);
     } catch (error) {
@@ -470,8 +1907,36 @@ class FastXlsxReader {
   }
 
   /**
-   * 
-   * @param {string} input The Excel input file name.
+   * Iterate over all rows contained in an Excel sheet without loading the
+   * whole workbook into memory.
+   * @param {string|Buffer|Uint8Array|ArrayBuffer|Readable} input The Excel input file
+   * name, or its content.
+   * @param {string} sheetnameOrIndex Optional: The name of the sheet to iterate over.
+   * If undefined, use the first sheet.
+   * @param {Function} callback A  function to invoke based on different events.
+   * @param {string|Array<string>} eventNames Optional: A one-dimensional array or a
+   * comma-separated list of event names to invoke on callback.
+   * If undefined, default events ("start", "record", "end", "error") are used.
+   * @param {any} thisArg The object to be used as the current object when invoking
+   * the callback.
+   * @param {{cellDates?: boolean, timeZone?: string}} options Optional: The options
+   * of the sheet reader.
+   * @returns {Promise<number>} A promise that resolves with the number of rows read.
+   */
+  static async iterateAsync(input, sheetnameOrIndex, callback, eventNames, thisArg, options) {
+    const reader = FastXlsxReader.createSheetReader(input, sheetnameOrIndex, callback, eventNames, thisArg,
+      Object.assign({}, options, { streaming: true }));
+    try {
+      return await reader.readAll();
+    } finally {
+      reader.destroy();
+    }
+  }
+
+  /**
+   * Create and return a sheet reader with the callback attached to its events.
+   * @param {string|Buffer|Uint8Array|ArrayBuffer|Readable} input The Excel input file
+   * name, or its content. Readable streams require the 'streaming' option.
    * @param {string} sheetnameOrIndex Optional: The name of the sheet to iterate over.
    * If undefined, use the first sheet.
    * @param {Function} callback A  function to invoke based on different events.
@@ -480,11 +1945,14 @@ class FastXlsxReader {
    * If undefined, default events ("start", "record", "end", "error") are used.
    * @param {any} thisArg The object to be used as the current object when invoking
    * the callback.
+   * @param {{streaming?: boolean, cellDates?: boolean, timeZone?: string}} options
+   * Optional: The options of the sheet reader. Set 'streaming' to create a
+   * FastXlsxStreamReader that parses the file incrementally.
    */
-  static createSheetReader(input, sheetnameOrIndex, callback, eventNames, thisArg) {
+  static createSheetReader(input, sheetnameOrIndex, callback, eventNames, thisArg, options) {
     const events = getEvents(eventNames);
     const noEvents = events.length === 0;
-    const sheetReader = new FastXlsxSheetReader(input, sheetnameOrIndex, thisArg);
+    const sheetReader = FastXlsxReader._newSheetReader(input, sheetnameOrIndex, thisArg, options);
 
     const onstart = noEvents || events.indexOf("start") > -1 ?
       () => callback.call(thisArg, "start", sheetReader) :
@@ -512,10 +1980,45 @@ class FastXlsxReader {
       .on("end", onend)
       .on("error", onerror);
   }
+
+  /**
+   * Create a FastXlsxSheetReader, or a FastXlsxStreamReader in streaming mode.
+   */
+  static _newSheetReader(input, sheetnameOrIndex, thisArg, options) {
+    options = options || {};
+    return options.streaming ?
+      new FastXlsxStreamReader(input, sheetnameOrIndex, thisArg, options) :
+      new FastXlsxSheetReader(input, sheetnameOrIndex, thisArg, options);
+  }
 }
 
 const DEFAULT_EVENTS = ["start", "record", "end", "error"];
 
+/**
+ * Do two group keys match? Dates are compared by value.
+ * @param {any} a A key.
+ * @param {any} b Another key.
+ */
+const sameKey = (a, b) => a === b ||
+  (a instanceof Date && b instanceof Date && a.getTime() === b.getTime());
+
+/**
+ * The maximum number of rows searched for the header when the 'headerRow'
+ * option is "auto".
+ */
+const HEADER_SEARCH_ROWS = 50;
+
+/**
+ * The number of rows between two checkpoints, unless the 'checkpointEvery'
+ * option says otherwise.
+ */
+const DEFAULT_CHECKPOINT_ROWS = 1000;
+
+/**
+ * The registered writer factories, keyed by format name.
+ */
+const FORMATS = Object.assign({}, BUILTIN_FORMATS);
+
 /**
  * Return an array of event names.
  * @param {string|string[]} eventNames The event names.
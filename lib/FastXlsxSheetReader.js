@@ -1,5 +1,10 @@
 const xlsx = require("xlsx");
-const { tryConvertDate } = require("./xldates");
+const { tryConvertDate, isDateFormat } = require("./xldates");
+const { indexMerges, findMerge, isMergeOrigin } = require("./merges");
+const { resolveColumnIndices, parseRange, intersectRange } = require("./columns");
+const { isReadable, toBuffer } = require("./input");
+const { isSkipped, findSheet, sheetNotFound } = require("./sheets");
+const { createLogger } = require("./logger");
 
 /**
  * Represents an object that provides methods for reading an Excel sheet.
@@ -7,14 +12,62 @@ const { tryConvertDate } = require("./xldates");
 class FastXlsxSheetReader {
     /**
      * Initialize a new instance of the FastXlsxSheetReader class.
-     * @param {string} filename The fully-qualified name of the file to read.
+     * @param {string|Buffer|Uint8Array|ArrayBuffer} filename The fully-qualified name
+     * of the file to read, or its content. Streams must be read into a Buffer first.
      * @param {string|number} sheetnameOrIndex The name or index of the worksheet to read.
      * If not specified, the first available worksheet will be used.
      * @param {object} thisArg An object that provides context when calling event handlers.
+     * @param {{cellDates?: boolean, timeZone?: string, valueMode?: "raw"|"formatted"|"cell",
+     * fillMergedCells?: boolean, range?: string, columns?: string|number|(string|number)[],
+     * trimToUsedRange?: boolean, workbook?: object, skipHiddenSheets?: boolean,
+     * skipVeryHiddenSheets?: boolean, logger?: object, logLevel?: string}} options Optional: Set 'cellDates' to convert the cells
+     * formatted as dates to instances of Date; 'timeZone' is the time zone of the dates: "UTC" (default), "local", or an
+     * IANA time zone name; 'valueMode' tells what rows contain: the raw cell values
+     * (default), the formatted text of the cells, or the cell objects; set 'fillMergedCells'
+     * to repeat the value of merged cells across their merged range; 'range' restricts
+     * reading to an A1-style range such as "B5:H2000"; 'columns' selects the columns
+     * to read, by zero-based index or letter ("C", "A:D"); set 'trimToUsedRange' to
+     * stop reading after the last row and column that contain values; 'workbook' is a
+     * WorkBook already read from the same file, so that several readers can share it;
+     * set 'skipHiddenSheets' (or 'skipVeryHiddenSheets') to leave the hidden and very
+     * hidden (or only the very hidden) worksheets out of readAllSheets and of the
+     * choice of the first worksheet; 'logger' is an object with debug, info, warn and
+     * error methods, such as console, that receives the messages of the reader (none
+     * by default) from 'logLevel' up: "debug", "info" (default), "warn", "error" or "silent".
      */
-    constructor(filename, sheetnameOrIndex, thisArg) {
-        // read Excel file as workbook
-        this._book = xlsx.readFile(filename);
+    constructor(filename, sheetnameOrIndex, thisArg, options) {
+        const {
+            cellDates,
+            timeZone,
+            valueMode,
+            fillMergedCells,
+            range,
+            columns,
+            trimToUsedRange,
+            workbook,
+            skipHiddenSheets,
+            skipVeryHiddenSheets,
+            logger,
+            logLevel
+        } = options || {};
+        if (isReadable(filename))
+            throw new TypeError("FastXlsxSheetReader cannot read a stream: read it into a Buffer first, or use FastXlsxStreamReader.");
+
+        // read Excel file as workbook; number formats are needed to detect dates
+        const source = toBuffer(filename);
+        const readOptions = { cellNF: !!cellDates };
+        this._book = workbook || (typeof source === "string" ?
+            xlsx.readFile(source, readOptions) :
+            xlsx.read(source, Object.assign({ type: "buffer" }, readOptions)));
+        this._cellDates = !!cellDates;
+        this._timeZone = timeZone;
+        this._valueMode = _ensureValueMode(valueMode);
+        this._fillMergedCells = !!fillMergedCells;
+        this._range = range ? parseRange(range) : null;
+        this._trimToUsedRange = !!trimToUsedRange;
+        this._hiddenSheets = { skipHiddenSheets, skipVeryHiddenSheets };
+        this._logger = createLogger(logger, logLevel);
+        this.selectColumns(columns);
         this._thisArg = thisArg || this;
         this._started = false;
         this.loadSheet(sheetnameOrIndex);
@@ -127,6 +180,55 @@ class FastXlsxSheetReader {
         return this._book.SheetNames;
     }
 
+    /**
+     * Returns an ordered list of the sheets in the workbook, with their visibility:
+     * 'hidden' is 0 (visible), 1 (hidden) or 2 (very hidden).
+     * @returns {{name: string, hidden: number}[]}
+     */
+    get sheets() {
+        const wb = this._book.Workbook;
+        const meta = (wb && wb.Sheets) || [];
+        return this._book.SheetNames.map((name, i) => ({
+            name,
+            hidden: (meta[i] && meta[i].Hidden) || 0
+        }));
+    }
+
+    /**
+     * Returns the range of the cells that contain values, within the range
+     * being read, or null if there is none. Unlike the '!ref' range saved by
+     * Excel, it doesn't include the empty rows and columns past the data.
+     * @returns {{s: {r: number, c: number}, e: {r: number, c: number}}|null}
+     */
+    get usedRange() {
+        if (this._usedRange === undefined) {
+            this._usedRange = _usedRange(this._sheet, intersectRange(this._ref, this._range));
+        }
+        return this._usedRange;
+    }
+
+    /**
+     * Returns the absolute, zero-based indices of the selected columns,
+     * or null if all columns are read.
+     */
+    get columns() {
+        return this._columns;
+    }
+
+    /**
+     * Returns the merged ranges of the current sheet.
+     * @returns {{s: {r: number, c: number}, e: {r: number, c: number}}[]}
+     */
+    get merges() {
+        return this._merges;
+    }
+
+    /** Returns true if the workbook uses the 1904 date system. */
+    get epoch1904() {
+        const wb = this._book && this._book.Workbook;
+        return !!(wb && wb.WBProps && wb.WBProps.date1904);
+    }
+
     /**
      * Return the current row.
      * @returns {any[]} A one-dimensional array representing the current row read.
@@ -162,6 +264,17 @@ class FastXlsxSheetReader {
         return false;
     }
 
+    /**
+     * Move to the specified row without reading the rows in between: the next row
+     * read by moveNext, readNext or readAll (forwards) is the row at that index.
+     * @param {number} index The zero-based index of the next row to read.
+     * @returns {FastXlsxSheetReader} The current instance.
+     */
+    skipTo(index) {
+        this._rowIndex = Math.max(index | 0, this._startRow) - 1;
+        return this;
+    }
+
     /**
      * Attempt to read the next row.
      * @returns {object|null} An object if a row was read, otherwise, null.
@@ -196,7 +309,7 @@ class FastXlsxSheetReader {
         if (!!this.onstart) this.onstart.call(context);
 
         if (!!backwards) {
-            for (this._rowIndex = this._endRow; this._rowIndex > -1; this._rowIndex--) {
+            for (this._rowIndex = this._endRow; this._rowIndex >= this._startRow; this._rowIndex--) {
                 this.read(this._rowIndex, onrecord);
                 rowCount++;
 
@@ -232,13 +345,16 @@ class FastXlsxSheetReader {
 
         this._abortRequested = false;
 
-        for (let i = 0; i < this.sheetNames.length; i++) {
-            const name = this.sheetNames[i];
+        const names = this.sheets.filter(sheet => !isSkipped(sheet, this._hiddenSheets))
+            .map(sheet => sheet.name);
+
+        for (let i = 0; i < names.length; i++) {
+            const name = names[i];
             this.loadSheet(name);
 
             // the operation may be aborted if the onsheet function returns true
             if (hasCb && !!onsheet.call(context, name)) {
-                warn("The operation was aborted.");
+                this._logger.debug("The operation was aborted.");
                 this._abortRequested = false;
                 break;
             }
@@ -292,15 +408,28 @@ class FastXlsxSheetReader {
         const oncell = this.oncell;
         const hasCellCb = typeof oncell === "function";
         const sheet = this._sheet;
+        const columns = this._columns;
+        const count = columns ? columns.length : this._endCol - this._startCol + 1;
+        const rowInRange = index >= this._startRow;
 
         this._abortRequested = false;
 
-        for (this._colIndex = this._startCol; this._colIndex <= this._endCol; this._colIndex++) {
+        for (let i = 0; i < count; i++) {
+            this._colIndex = columns ? columns[i] : this._startCol + i;
+
+            if (!rowInRange || !this._isColumnInRange(this._colIndex)) {
+                // never look up the cells outside of the range
+                row.push(undefined);
+                continue;
+            }
+
             const encodedCell = xlsx.utils.encode_cell({
                 r: index,
                 c: this._colIndex
             });
-            const cell = sheet[encodedCell];
+            const cell = this._fillMergedCells ?
+                this._mergedCell(sheet[encodedCell], index, this._colIndex) :
+                sheet[encodedCell];
             if (!!cell) {
                 /* Sample cell contents:
                 (number) { t: 'n', v: 269, w: '269' }
@@ -308,7 +437,7 @@ class FastXlsxSheetReader {
                 (string) { t: 's', v: 'hello', r: '<t>hello</t>', h: 'hello', w: 'hello' }
                 (string) { t: 's', v: 'world!', r: '<t>world!</t>', h: 'world!', w: 'world!' }
                 */
-                row.push(cell.v);
+                row.push(this._cellValue(cell));
                 if (hasCellCb)
                     oncell.call(context, cell, index, this._colIndex);
             } else {
@@ -319,7 +448,7 @@ class FastXlsxSheetReader {
         if (typeof onrecord === "function" && !!onrecord.call(context, row, index)) {
             // abortion has been requested
             this._abortRequested = true;
-            warn("The operation was aborted.");
+            this._logger.debug("The operation was aborted.");
         }
 
         return row;
@@ -367,12 +496,16 @@ class FastXlsxSheetReader {
      * @param {number} colIndex The zero-based column index to read.
      * @param {number} rowIndex The zero-based row index to read.
      * @returns {{t: string, v: any, r: string, h: any, w: string}}
-     * An object that represents the cell at the specified indices.
+     * An object that represents the cell at the specified indices, or undefined
+     * if the cell lies outside of the range or of the selected columns.
      */
     readCell(colIndex, rowIndex) {
         rowIndex || (rowIndex = this._rowIndex || this._startRow);
         colIndex || (colIndex = this._colIndex || this._startCol);
 
+        if (!this._isSelected(colIndex, rowIndex))
+            return undefined;
+
         const encodedCell = xlsx.utils.encode_cell({
             r: rowIndex,
             c: colIndex
@@ -381,6 +514,69 @@ class FastXlsxSheetReader {
         return this._sheet[encodedCell];
     }
 
+    /**
+     * Read the merged range that contains the cell at the specified indices.
+     * @param {number} colIndex The zero-based column index to read.
+     * @param {number} rowIndex The zero-based row index to read.
+     * @returns {{s: {r: number, c: number}, e: {r: number, c: number}}|undefined}
+     * The merged range, if any.
+     */
+    readCellMerge(colIndex, rowIndex) {
+        return findMerge(this._mergeIndex, rowIndex, colIndex);
+    }
+
+    /**
+     * Read the formula of the cell at the specified indices.
+     * @param {number} colIndex The zero-based column index to read.
+     * @param {number} rowIndex The zero-based row index to read.
+     * @returns {string|undefined} The formula (without the leading "="), if any.
+     */
+    readCellFormula(colIndex, rowIndex) {
+        const cell = this.readCell(colIndex, rowIndex);
+        return cell ? cell.f : undefined;
+    }
+
+    /**
+     * Read the hyperlink of the cell at the specified indices.
+     * @param {number} colIndex The zero-based column index to read.
+     * @param {number} rowIndex The zero-based row index to read.
+     * @returns {{target: string, tooltip?: string}|undefined} The hyperlink, if any.
+     */
+    readCellHyperlink(colIndex, rowIndex) {
+        const cell = this.readCell(colIndex, rowIndex);
+        if (!cell || !cell.l) return undefined;
+        return {
+            target: cell.l.Target,
+            tooltip: cell.l.Tooltip
+        };
+    }
+
+    /**
+     * Read the comments of the cell at the specified indices.
+     * @param {number} colIndex The zero-based column index to read.
+     * @param {number} rowIndex The zero-based row index to read.
+     * @returns {{author: string, text: string}[]|undefined} The comments, if any.
+     */
+    readCellComment(colIndex, rowIndex) {
+        const cell = this.readCell(colIndex, rowIndex);
+        if (!cell || !(cell.c instanceof Array)) return undefined;
+        return cell.c.map(c => ({
+            author: c.a,
+            text: c.t
+        }));
+    }
+
+    /**
+     * Read the formatted text of the cell at the specified indices.
+     * @param {number} colIndex The zero-based column index to read.
+     * @param {number} rowIndex The zero-based row index to read.
+     * @returns {string|undefined} The text displayed by Excel, if any.
+     */
+    readCellText(colIndex, rowIndex) {
+        const cell = this.readCell(colIndex, rowIndex);
+        return cell ? _cellText(cell) : undefined;
+    }
+
     /**
      * Read the cell at the specified indices as a date.
      * @param {number} colIndex The zero-based column index to read.
@@ -391,11 +587,78 @@ class FastXlsxSheetReader {
     }
 
     /**
-     * Attempt to convert the specified value to a date.
+     * Attempt to convert the specified value to a date, using the workbook's
+     * date system and the time zone specified in the constructor.
      * @param {number|string} value The value to convert.
      */
     convertToDate(value) {
-        return tryConvertDate(value);
+        return tryConvertDate(value, this.epoch1904, this._timeZone);
+    }
+
+    /**
+     * Return the value of a cell according to the current value mode.
+     * @param {object} cell The cell.
+     */
+    _cellValue(cell) {
+        switch (this._valueMode) {
+            case "cell":
+                return cell;
+            case "formatted":
+                return _cellText(cell);
+            default:
+                return this._cellDates && this._isDateCell(cell) ? this.convertToDate(cell.v) : cell.v;
+        }
+    }
+
+    /**
+     * Select the columns to read.
+     * @param {string|number|(string|number)[]} columns The zero-based indices or
+     * letters ("C", "A:D") of the columns to read. Pass null to read all columns.
+     * @returns {FastXlsxSheetReader} A reference to the current FastXlsxSheetReader instance.
+     */
+    selectColumns(columns) {
+        this._columns = columns === undefined || columns === null ? null :
+            resolveColumnIndices(columns);
+        return this;
+    }
+
+    _isColumnInRange(colIndex) {
+        return colIndex >= this._startCol && colIndex <= this._endCol;
+    }
+
+    /**
+     * Is the cell at the specified indices within the range and the selected columns?
+     * @param {number} colIndex The zero-based column index.
+     * @param {number} rowIndex The zero-based row index.
+     */
+    _isSelected(colIndex, rowIndex) {
+        if (this._range && (rowIndex < this._startRow || rowIndex > this._endRow ||
+            !this._isColumnInRange(colIndex)))
+            return false;
+        return !this._columns || this._columns.indexOf(colIndex) > -1;
+    }
+
+    /**
+     * Return the top-left cell of the merged range that contains an empty cell.
+     * @param {object} cell The cell read at the specified indices, if any.
+     * @param {number} rowIndex The zero-based row index of the cell.
+     * @param {number} colIndex The zero-based column index of the cell.
+     */
+    _mergedCell(cell, rowIndex, colIndex) {
+        if (cell && cell.t !== "z") return cell;
+
+        const merge = findMerge(this._mergeIndex, rowIndex, colIndex);
+        if (!merge || isMergeOrigin(merge, rowIndex, colIndex)) return cell;
+
+        return this._sheet[xlsx.utils.encode_cell(merge.s)];
+    }
+
+    /**
+     * Is the specified cell a date, according to its type or number format?
+     * @param {{t: string, z?: string}} cell The cell to check.
+     */
+    _isDateCell(cell) {
+        return cell.t === "d" || (cell.t === "n" && isDateFormat(cell.z));
     }
 
     /**
@@ -440,21 +703,35 @@ class FastXlsxSheetReader {
     }
 
     /**
-     * Load the given worksheet.
-     * @param {string|number} sheetnameOrIndex The name or index of the worksheet to read.
+     * Load the given worksheet. A missing worksheet is reported to the 'error'
+     * event handler (or thrown), and leaves no row to read.
+     * @param {string|number} sheetnameOrIndex The name or zero-based index of the
+     * worksheet to read. If not specified, the first worksheet (that is not skipped).
      */
     loadSheet(sheetnameOrIndex) {
         if (!this._isDestroyed()) {
             const book = this._book;
-    
-            this._sheet = typeof sheetnameOrIndex === "string" ?
-                book.Sheets[sheetnameOrIndex] :
-                (typeof sheetnameOrIndex === "number" ?
-                    book.Sheets[sheetnameOrIndex] :
-                    book.Sheets[book.SheetNames[0]]);
-    
-            const range = xlsx.utils.decode_range(this._sheet["!ref"]);
-    
+            const sheets = this.sheets;
+            const index = findSheet(sheets, sheetnameOrIndex, this._hiddenSheets);
+            const name = index > -1 ? sheets[index].name : undefined;
+
+            this._sheet = name !== undefined ? book.Sheets[name] : {};
+            // empty worksheets have no range
+            this._ref = this._sheet["!ref"] ?
+                xlsx.utils.decode_range(this._sheet["!ref"]) :
+                { s: { r: 0, c: 0 }, e: { r: -1, c: -1 } };
+            this._usedRange = undefined;
+
+            let range = intersectRange(this._ref, this._range);
+
+            if (this._trimToUsedRange) {
+                // keep the start of the range, so that row offsets don't change
+                const used = this.usedRange;
+                range = used ?
+                    { s: range.s, e: { r: Math.min(range.e.r, used.e.r), c: Math.min(range.e.c, used.e.c) } } :
+                    { s: range.s, e: { r: range.s.r - 1, c: range.s.c - 1 } };
+            }
+
             const {
                 r: startRow,
                 c: startCol
@@ -470,7 +747,12 @@ class FastXlsxSheetReader {
             this._startCol = startCol;
             this._endRow = endRow;
             this._endCol = endCol;
-            this._currentSheetname = sheetnameOrIndex;
+            this._merges = this._sheet["!merges"] || [];
+            this._mergeIndex = indexMerges(this._merges);
+            this._currentSheetname = name;
+
+            if (name === undefined)
+                this._handleError(sheetNotFound(sheetnameOrIndex, sheets));
         }
 
         return this;
@@ -487,7 +769,7 @@ class FastXlsxSheetReader {
         if (!!this.onerror) {
             this.onerror.call(this._thisArg, error);
         } else {
-            console.error(error.message);
+            this._logger.error(error.message);
             throw error;
         }
     }
@@ -503,6 +785,58 @@ class FastXlsxSheetReader {
 
 const SUPPORTED_EVENTS = ["start", "cell", "beforerecord", "record", "end", "error"];
 
+const VALUE_MODES = ["raw", "formatted", "cell"];
+
+/**
+ * Make sure that the specified value is a supported value mode.
+ * @param {string} value The value mode ("raw" if not specified).
+ */
+const _ensureValueMode = value => {
+    if (value === undefined || value === null) return "raw";
+    if (VALUE_MODES.indexOf(value) === -1)
+        throw new Error(`Unknown value mode: ${value}. Expected one of: ${VALUE_MODES.join(", ")}.`);
+    return value;
+}
+
+/**
+ * Return the range of the cells of a sheet that contain values.
+ * @param {object} sheet The WorkSheet.
+ * @param {{s: {r: number, c: number}, e: {r: number, c: number}}} bounds The range to search.
+ */
+const _usedRange = (sheet, bounds) => {
+    let used = null;
+
+    for (const address in sheet) {
+        if (address[0] === "!") continue;
+
+        const cell = sheet[address];
+        if (!cell || cell.t === "z" || cell.v === undefined || cell.v === null || cell.v === "")
+            continue;
+
+        const { r, c } = xlsx.utils.decode_cell(address);
+        if (r < bounds.s.r || r > bounds.e.r || c < bounds.s.c || c > bounds.e.c)
+            continue;
+
+        if (!used) {
+            used = { s: { r, c }, e: { r, c } };
+        } else {
+            if (r < used.s.r) used.s.r = r;
+            if (c < used.s.c) used.s.c = c;
+            if (r > used.e.r) used.e.r = r;
+            if (c > used.e.c) used.e.c = c;
+        }
+    }
+
+    return used;
+};
+
+/**
+ * Return the formatted text of a cell, or its raw value as a string.
+ * @param {{v: any, w?: string}} cell The cell.
+ */
+const _cellText = cell => cell.w !== undefined ? cell.w :
+    (cell.v === undefined || cell.v === null ? cell.v : String(cell.v));
+
 /**
  * Make sure that the specified value is a function.
  * @param {Function} value A callback function.
@@ -514,9 +848,4 @@ const _ensureFunction = value => {
     return value;
 }
 
-const warn = (message, ...optionalParams) => {
-    console.log();
-    console.warn(message, ...optionalParams);
-}
-
 module.exports = FastXlsxSheetReader;
\ No newline at end of file
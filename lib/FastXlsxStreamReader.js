@@ -0,0 +1,1525 @@
+const yauzl = require("yauzl");
+const sax = require("sax");
+const path = require("path");
+const xlsx = require("xlsx");
+const { StringDecoder } = require("string_decoder");
+const { tryConvertDate, isDateFormat } = require("./xldates");
+const { indexMerges, findMerge, isMergeOrigin } = require("./merges");
+const { resolveColumnIndices, parseRange, intersectRange } = require("./columns");
+const { resolveInput } = require("./input");
+const { sheetHidden, isSkipped, findSheet, sheetNotFound } = require("./sheets");
+const { createLogger } = require("./logger");
+
+/**
+ * Represents an object that reads an Excel sheet row-by-row without loading
+ * the whole workbook into memory. The archive is unzipped on the fly and the
+ * worksheet XML is parsed incrementally, so only the shared strings table and
+ * a small buffer of rows are kept in memory.
+ *
+ * Unlike FastXlsxSheetReader, the reading methods are asynchronous and
+ * return promises. Random access (read, readMany, readCell) and reading
+ * backwards are not supported.
+ */
+class FastXlsxStreamReader {
+    /**
+     * Initialize a new instance of the FastXlsxStreamReader class.
+     * @param {string|Buffer|Uint8Array|ArrayBuffer|Readable} filename The fully-qualified
+     * name of the file to read, or its content. Streams are read into memory before the
+     * workbook is opened, since the archive's directory is stored at its end.
+     * @param {string|number} sheetnameOrIndex The name or index of the worksheet to read.
+     * If not specified, the first available worksheet will be used.
+     * @param {object} thisArg An object that provides context when calling event handlers.
+     * @param {{highWaterMark?: number, cellDates?: boolean, timeZone?: string,
+     * valueMode?: "raw"|"formatted"|"cell", fillMergedCells?: boolean,
+     * preloadMerges?: boolean, range?: string, columns?: string|number|(string|number)[],
+     * trimToUsedRange?: boolean, skipHiddenSheets?: boolean, skipVeryHiddenSheets?: boolean,
+     * logger?: object, logLevel?: string}}
+     * options Optional: 'highWaterMark' is the
+     * maximum number of parsed rows to buffer before pausing the underlying stream
+     * (defaults to 512); set 'cellDates' to convert the cells formatted as dates to
+     * instances of Date; 'timeZone' is the time zone of the dates: "UTC" (default),
+     * "local", or an IANA time zone name; 'valueMode' tells what rows contain: the raw
+     * cell values (default), the formatted text of the cells, or the cell objects.
+     * Hyperlinks and comments are not available in streaming mode. Set 'fillMergedCells'
+     * to repeat the value of merged cells across their merged range. Merged ranges are
+     * stored after the rows of a sheet: set 'preloadMerges' (implied by 'fillMergedCells')
+     * to read them before the first row, at the cost of an extra pass over the sheet.
+     * 'range' restricts reading to an A1-style range such as "B5:H2000" (the rest of
+     * the sheet is not parsed once the end of the range has been reached); 'columns'
+     * selects the columns to read, by zero-based index or letter ("C", "A:D"); set
+     * 'trimToUsedRange' to stop reading after the last row that contains values and to
+     * leave out the columns past the last one that contains values (found in an extra
+     * pass over the sheet, so that all rows have the same width); set
+     * 'skipHiddenSheets' (or 'skipVeryHiddenSheets') to leave the hidden and very hidden
+     * (or only the very hidden) worksheets out of readAllSheets and of the choice of the
+     * first worksheet. 'logger' is an object with debug, info, warn and error methods,
+     * such as console, that receives the messages of the reader (none by default) from
+     * 'logLevel' up: "debug", "info" (default), "warn", "error" or "silent".
+     */
+    constructor(filename, sheetnameOrIndex, thisArg, options) {
+        const {
+            highWaterMark,
+            cellDates,
+            timeZone,
+            valueMode,
+            fillMergedCells,
+            preloadMerges,
+            range,
+            columns,
+            trimToUsedRange,
+            skipHiddenSheets,
+            skipVeryHiddenSheets,
+            logger,
+            logLevel
+        } = options || {};
+        this._filename = filename;
+        this._sheetnameOrIndex = sheetnameOrIndex;
+        this._thisArg = thisArg || this;
+        this._highWaterMark = highWaterMark || DEFAULT_HIGH_WATER_MARK;
+        this._cellDates = !!cellDates;
+        this._timeZone = timeZone;
+        this._valueMode = _ensureValueMode(valueMode);
+        this._fillMergedCells = !!fillMergedCells;
+        this._preloadMerges = !!(fillMergedCells || preloadMerges);
+        this._range = range ? parseRange(range) : null;
+        this._trimToUsedRange = !!trimToUsedRange;
+        this._hiddenSheets = { skipHiddenSheets, skipVeryHiddenSheets };
+        this._logger = createLogger(logger, logLevel);
+        this.selectColumns(columns);
+        this._numFmts = [];
+        this._started = false;
+        this._opened = null;
+        this._zip = null;
+        this._entries = null;
+        this._sharedStrings = [];
+        this._sheets = [];
+        this._definedNames = [];
+        this._propertiesPaths = {};
+        this._epoch1904 = false;
+        this._resetState();
+    }
+
+    //#region properties
+
+    /** Returns the "start" event handler. */
+    get onstart() {
+        return this._onstart;
+    }
+
+    /** Sets the "start" event handler. */
+    set onstart(value) {
+        this._onstart = _ensureFunction(value);
+    }
+
+    /** Returns the "cell" event handler. */
+    get oncell() {
+        return this._oncell;
+    }
+
+    /** Sets the "cell" event handler. */
+    set oncell(value) {
+        this._oncell = _ensureFunction(value);
+    }
+
+    /** Returns the "beforerecord" event handler. */
+    get onbeforerecord() {
+        return this._onbeforerecord;
+    }
+
+    /** Sets the "beforerecord" event handler. */
+    set onbeforerecord(value) {
+        this._onbeforerecord = _ensureFunction(value);
+    }
+
+    /** Returns the "record" event handler. */
+    get onrecord() {
+        return this._onrecord;
+    }
+
+    /** Sets the "record" event handler. */
+    set onrecord(value) {
+        this._onrecord = _ensureFunction(value);
+    }
+
+    /** Returns the "end" event handler. */
+    get onend() {
+        return this._onend;
+    }
+
+    /** Sets the "end" event handler. */
+    set onend(value) {
+        this._onend = _ensureFunction(value);
+    }
+
+    /** Returns the "error" event handler. */
+    get onerror() {
+        return this._onerror;
+    }
+
+    /** Sets the "error" event handler. */
+    set onerror(value) {
+        this._onerror = _ensureFunction(value);
+    }
+
+    /**
+     * Returns the index of the start row. Taken from the sheet's dimension
+     * when available, otherwise from the first row read.
+     */
+    get startRow() {
+        return this._startRow;
+    }
+
+    /**
+     * Returns the index of the end row. When the sheet doesn't declare its
+     * dimension, this value is only known once all rows have been read.
+     */
+    get endRow() {
+        return this._endRow;
+    }
+
+    /** Returns the index of the start column. */
+    get startCol() {
+        return this._startCol;
+    }
+
+    /** Returns the index of the end column. */
+    get endCol() {
+        return this._endCol;
+    }
+
+    /** Returns the current row index. */
+    get rowIndex() {
+        return this._rowIndex;
+    }
+
+    /** Returns the number of rows. */
+    get rowCount() {
+        return this._endRow + 1;
+    }
+
+    /** Returns an ordered list of the sheet names in the workbook. */
+    get sheetNames() {
+        return this._sheets.map(s => s.name);
+    }
+
+    /**
+     * Returns an ordered list of the sheets in the workbook, with their visibility:
+     * 'hidden' is 0 (visible), 1 (hidden) or 2 (very hidden).
+     * @returns {{name: string, hidden: number}[]}
+     */
+    get sheets() {
+        return this._sheets.map(s => ({
+            name: s.name,
+            hidden: sheetHidden(s.state)
+        }));
+    }
+
+    /**
+     * Returns the range of the cells that contain values, among the rows
+     * parsed so far (the whole sheet once it has been read), or null if there is none.
+     * @returns {{s: {r: number, c: number}, e: {r: number, c: number}}|null}
+     */
+    get usedRange() {
+        return this._usedRange;
+    }
+
+    /**
+     * Returns the range declared by the current sheet ('dimension' element), once
+     * the reading has started, or null if the sheet doesn't declare it. It may
+     * include empty rows and columns.
+     * @returns {{s: {r: number, c: number}, e: {r: number, c: number}}|null}
+     */
+    get dimension() {
+        return this._dimension;
+    }
+
+    /**
+     * Returns the defined names of the workbook. 'sheet' is the name of the sheet
+     * a name is local to, or undefined for global names.
+     * @returns {{name: string, ref: string, sheet?: string, hidden: boolean}[]}
+     */
+    get definedNames() {
+        return this._definedNames;
+    }
+
+    /**
+     * Returns the absolute, zero-based indices of the selected columns,
+     * or null if all columns are read.
+     */
+    get columns() {
+        return this._columns;
+    }
+
+    /**
+     * Returns the merged ranges of the current sheet read so far (all of them
+     * if the 'preloadMerges' option is set, or once the sheet has been read).
+     * @returns {{s: {r: number, c: number}, e: {r: number, c: number}}[]}
+     */
+    get merges() {
+        return this._merges;
+    }
+
+    /** Returns true if the workbook uses the 1904 date system. */
+    get epoch1904() {
+        return this._epoch1904;
+    }
+
+    /**
+     * Return the current row.
+     * @returns {any[]} A one-dimensional array representing the current row read.
+     */
+    get current() {
+        return this._currentRow;
+    }
+
+    //#endregion
+
+    /**
+     * Open the workbook, read its shared strings and load the worksheet
+     * specified in the constructor. Calling this method is optional: the
+     * reading methods open the workbook when needed.
+     * @returns {Promise<FastXlsxStreamReader>} A promise that resolves with
+     * a reference to the current FastXlsxStreamReader instance.
+     */
+    open() {
+        if (!this._opened) {
+            this._opened = this._open();
+        }
+        return this._opened;
+    }
+
+    /**
+     * Restart reading the current worksheet from its first row.
+     * @returns {Promise<FastXlsxStreamReader>} A promise that resolves with
+     * a reference to the current FastXlsxStreamReader instance.
+     */
+    async reset() {
+        await this.open();
+        return this.loadSheet(this._currentSheetname);
+    }
+
+    /**
+     * Attempts to move to the next row, if any.
+     * @returns {Promise<boolean>} true if the next row can be read, otherwise false.
+     */
+    async moveNext() {
+        return (await this.readNext()) !== null;
+    }
+
+    /**
+     * Attempt to read the next row.
+     * @param {Function} onrecord An optional function to call after reading the row.
+     * @returns {Promise<any[]|null>} An array if a row was read, otherwise, null.
+     */
+    async readNext(onrecord) {
+        if (!(await this._ready()))
+            return null;
+
+        const context = this._thisArg;
+
+        if (!this._started) {
+            this._started = true;
+            if (!!this.onstart) this.onstart.call(context);
+        }
+
+        let entry;
+        try {
+            entry = await this._nextRow();
+        } catch (error) {
+            this._handleError(error);
+            return null;
+        }
+
+        if (entry === null) {
+            this._currentRow = undefined;
+            return null;
+        }
+
+        return this._deliver(entry, onrecord || this.onrecord);
+    }
+
+    /**
+     * Read all rows in the current work sheet.
+     * @param {boolean} backwards Not supported; must be falsy.
+     * @param {(row: any[], index: number) => boolean} onrecord An optional
+     * function to call back when a row is read. Return true to abort the operation.
+     * If specified, this method takes precedence over the current 'record' event handler.
+     * If not specified then a 'record' event handler must exist.
+     * @returns {Promise<number>} A number that represents the number of rows read.
+     */
+    async readAll(backwards, onrecord) {
+        onrecord || (onrecord = this.onrecord);
+
+        if (!!backwards) {
+            this._handleError(new Error("Reading backwards is not supported in streaming mode."));
+            return 0;
+        }
+
+        if (typeof onrecord !== "function") {
+            this._handleError(new Error("A callback function for the 'record' event must be specified."));
+            return 0;
+        }
+
+        if (!(await this._ready()))
+            return 0;
+
+        const context = this._thisArg;
+        this._started = true;
+        this._abortRequested = false;
+
+        if (!!this.onstart) this.onstart.call(context);
+
+        let rowCount = this._startRow;
+        let entry;
+
+        for (;;) {
+            try {
+                entry = await this._nextRow();
+            } catch (error) {
+                this._handleError(error);
+                return rowCount || 0;
+            }
+
+            if (entry === null)
+                break;
+
+            if (rowCount === undefined) rowCount = this._startRow;
+            this._deliver(entry, onrecord);
+            rowCount++;
+
+            if (this._abortRequested)
+                break;
+        }
+
+        rowCount = rowCount || 0;
+
+        if (!!this.onend) this.onend.call(context, rowCount);
+        return rowCount;
+    }
+
+    /**
+     * Read all worksheets contained in the underlying workbook.
+     * @param {(name: string) => boolean} onsheet An optional function to call
+     * when a new worksheet has been loaded. Return true to abort the operation.
+     * @param {(row: any[], index: number) => boolean} onrecord An optional
+     * function to call when a new row is read. Return true to abort the operation.
+     * @returns {Promise<number>} The total number of rows read.
+     */
+    async readAllSheets(onsheet, onrecord) {
+        if (!(await this._ready()))
+            return 0;
+
+        const hasCb = typeof onsheet === "function";
+        const context = this._thisArg;
+        const names = this.sheets.filter(sheet => !isSkipped(sheet, this._hiddenSheets))
+            .map(sheet => sheet.name);
+        let totalRows = 0;
+
+        for (let i = 0; i < names.length; i++) {
+            const name = names[i];
+            await this.loadSheet(name);
+
+            // the operation may be aborted if the onsheet function returns true
+            if (hasCb && !!onsheet.call(context, name)) {
+                this._logger.debug("The operation was aborted.");
+                break;
+            }
+
+            totalRows += await this.readAll(false, onrecord);
+
+            if (this._abortRequested) {
+                this._abortRequested = false;
+                break;
+            }
+        }
+
+        return totalRows;
+    }
+
+    /**
+     * Attempt to convert the specified value to a date, using the workbook's
+     * date system and the time zone specified in the constructor.
+     * @param {number|string} value The value to convert.
+     */
+    convertToDate(value) {
+        return tryConvertDate(value, this._epoch1904, this._timeZone);
+    }
+
+    /**
+     * Register an event callback function.
+     * @param {"start"|"cell"|"record"|"end"|"error"} eventName The name of the event to register.
+     * @param {Function} callback A callback function that handles the specified event.
+     */
+    on(eventName, callback) {
+        if (SUPPORTED_EVENTS.indexOf(eventName) === -1)
+            throw new Error("Unknown event: " + eventName);
+
+        this["on" + eventName] = callback;
+        return this;
+    }
+
+    /**
+     * Remove an event callback function.
+     * @param {"start"|"cell"|"record"|"end"|"error"} eventName The name of the event to remove.
+     */
+    off(eventName) {
+        if (SUPPORTED_EVENTS.indexOf(eventName) === -1)
+            throw new Error("Unknown event: " + eventName);
+
+        this["on" + eventName] = undefined;
+        delete this["on" + eventName];
+
+        return this;
+    }
+
+    /**
+     * Close the underlying archive and release the shared strings.
+     */
+    destroy() {
+        if (!this._destroyed) {
+            this._closeSheetStream();
+            if (this._zip) this._zip.close();
+            this._zip = null;
+            this._entries = null;
+            this._sharedStrings = null;
+            this._destroyed = true;
+        }
+    }
+
+    /**
+     * Load the given worksheet and position the reader before its first row.
+     * A missing worksheet is reported to the 'error' event handler (or thrown),
+     * and leaves no row to read.
+     * @param {string|number} sheetnameOrIndex The name or zero-based index of the
+     * worksheet to read. If not specified, the first worksheet (that is not skipped).
+     * @returns {Promise<FastXlsxStreamReader>} A promise that resolves with
+     * a reference to the current FastXlsxStreamReader instance.
+     */
+    async loadSheet(sheetnameOrIndex) {
+        if (!this._zip) {
+            // not opened yet: remember the sheet, open() will load it
+            this._sheetnameOrIndex = sheetnameOrIndex;
+            return this.open();
+        }
+
+        if (this._failed || this._isDestroyed())
+            return this;
+
+        const sheets = this._sheets;
+        const sheet = sheets[findSheet(this.sheets, sheetnameOrIndex, this._hiddenSheets)];
+        const entry = sheet && this._entries[sheet.path];
+
+        this._closeSheetStream();
+        this._resetState();
+
+        if (!entry) {
+            // nothing to read
+            this._streamEnded = true;
+            this._handleError(sheet ?
+                new Error(`The part of worksheet "${sheet.name}" is missing: ${sheet.path}`) :
+                sheetNotFound(sheetnameOrIndex, this.sheets));
+            return this;
+        }
+
+        this._currentSheetname = sheet.name;
+
+        if (this._preloadMerges || this._trimToUsedRange) {
+            try {
+                if (this._preloadMerges) await this._readMerges(sheet.path);
+                if (this._trimToUsedRange) await this._readUsedEndCol(sheet.path);
+            } catch (error) {
+                this._streamEnded = true;
+                this._handleError(error);
+                return this;
+            }
+        }
+
+        await this._openSheetStream(entry);
+        return this;
+    }
+
+    async _open() {
+        try {
+            this._zip = await openZip(await resolveInput(this._filename));
+            this._entries = await readEntries(this._zip);
+
+            const workbookPath = await this._findWorkbookPath();
+            const rels = await this._readRelationships(workbookPath);
+
+            await this._readWorkbook(workbookPath, rels);
+
+            const sst = Object.keys(rels).map(id => rels[id])
+                .find(r => /\/sharedStrings$/.test(r.type));
+
+            const sstPath = sst ? sst.target : "xl/sharedStrings.xml";
+            if (this._entries[sstPath]) await this._readSharedStrings(sstPath);
+
+            const styles = Object.keys(rels).map(id => rels[id])
+                .find(r => /\/styles$/.test(r.type));
+
+            const stylesPath = styles ? styles.target : "xl/styles.xml";
+            if (this._entries[stylesPath]) await this._readStyles(stylesPath);
+        } catch (error) {
+            this._failed = true;
+            this._handleError(error);
+            return this;
+        }
+
+        await this.loadSheet(this._sheetnameOrIndex);
+        return this;
+    }
+
+    /**
+     * Open the workbook if needed.
+     * @returns {Promise<boolean>} true if rows can be read, otherwise false.
+     */
+    async _ready() {
+        await this.open();
+        return !this._failed && !this._isDestroyed();
+    }
+
+    async _findWorkbookPath() {
+        let target = "xl/workbook.xml";
+        const properties = this._propertiesPaths = {
+            core: "docProps/core.xml",
+            app: "docProps/app.xml"
+        };
+        if (this._entries["_rels/.rels"]) {
+            await this._parseEntry("_rels/.rels", {
+                onopentag(name, attrs) {
+                    if (name !== "Relationship") return;
+                    if (/\/officeDocument$/.test(attrs.Type))
+                        target = resolvePath("", attrs.Target);
+                    else if (/\/core-properties$/.test(attrs.Type))
+                        properties.core = resolvePath("", attrs.Target);
+                    else if (/\/extended-properties$/.test(attrs.Type))
+                        properties.app = resolvePath("", attrs.Target);
+                }
+            });
+        }
+        return target;
+    }
+
+    async _readRelationships(workbookPath) {
+        const dir = path.posix.dirname(workbookPath);
+        const relsPath = `${dir}/_rels/${path.posix.basename(workbookPath)}.rels`;
+        const rels = {};
+
+        if (this._entries[relsPath]) {
+            await this._parseEntry(relsPath, {
+                onopentag(name, attrs) {
+                    if (name === "Relationship") {
+                        rels[attrs.Id] = {
+                            type: attrs.Type,
+                            target: resolvePath(dir, attrs.Target)
+                        };
+                    }
+                }
+            });
+        }
+        return rels;
+    }
+
+    async _readWorkbook(workbookPath, rels) {
+        const sheets = [];
+        const names = [];
+        let epoch1904 = false;
+        let definedName = null;
+
+        await this._parseEntry(workbookPath, {
+            onopentag(name, attrs) {
+                if (name === "definedName") {
+                    definedName = {
+                        name: attrs.name,
+                        ref: "",
+                        localSheetId: attrs.localSheetId,
+                        hidden: attrs.hidden === "1" || attrs.hidden === "true"
+                    };
+                } else if (name === "sheet") {
+                    const rel = rels[attrs["r:id"]];
+                    sheets.push({
+                        name: attrs.name,
+                        state: attrs.state || "visible",
+                        path: rel ? rel.target : `xl/worksheets/sheet${sheets.length + 1}.xml`
+                    });
+                } else if (name === "workbookPr") {
+                    epoch1904 = attrs.date1904 === "1" || attrs.date1904 === "true";
+                }
+            },
+            ontext(value) {
+                if (definedName) definedName.ref += value;
+            },
+            onclosetag(name) {
+                if (name === "definedName" && definedName) {
+                    names.push(definedName);
+                    definedName = null;
+                }
+            }
+        });
+
+        this._sheets = sheets;
+        this._definedNames = names.map(({ name, ref, localSheetId, hidden }) => {
+            const sheet = localSheetId !== undefined ? sheets[parseInt(localSheetId)] : undefined;
+            return { name, ref, sheet: sheet && sheet.name, hidden };
+        });
+        this._epoch1904 = epoch1904;
+    }
+
+    /**
+     * Read the document properties of the workbook. Dates are instances of Date,
+     * and the properties that are not set are left out.
+     * @returns {Promise<{title?: string, subject?: string, author?: string,
+     * keywords?: string, description?: string, category?: string, lastModifiedBy?: string,
+     * created?: Date, modified?: Date, application?: string, company?: string,
+     * manager?: string}>} A promise that resolves with the document properties.
+     */
+    async readProperties() {
+        const properties = {};
+        if (!(await this._ready()))
+            return properties;
+
+        const read = async (partPath, names) => {
+            if (!this._entries[partPath]) return;
+
+            let current = null;
+            let text = "";
+
+            await this._parseEntry(partPath, {
+                onopentag(name) {
+                    current = Object.prototype.hasOwnProperty.call(names, name) ? names[name] : null;
+                    text = "";
+                },
+                ontext(value) {
+                    if (current) text += value;
+                },
+                onclosetag(name) {
+                    if (current && names[name] === current && text.trim()) {
+                        properties[current] = /^(created|modified)$/.test(current) ?
+                            new Date(text.trim()) :
+                            text.trim();
+                    }
+                    current = null;
+                }
+            });
+        };
+
+        const { core, app } = this._propertiesPaths;
+
+        try {
+            await read(core, CORE_PROPERTIES);
+            await read(app, APP_PROPERTIES);
+        } catch (error) {
+            this._handleError(error);
+        }
+
+        return properties;
+    }
+
+    async _readSharedStrings(sstPath) {
+        const strings = this._sharedStrings;
+        let text = null;
+        let inText = false;
+        let inPhonetic = false;
+
+        await this._parseEntry(sstPath, {
+            onopentag(name) {
+                if (name === "si") text = "";
+                else if (name === "rPh") inPhonetic = true;
+                else if (name === "t" && !inPhonetic) inText = true;
+            },
+            ontext(value) {
+                if (inText) text += value;
+            },
+            onclosetag(name) {
+                if (name === "si") strings.push(text);
+                else if (name === "rPh") inPhonetic = false;
+                else if (name === "t") inText = false;
+            }
+        });
+    }
+
+    /**
+     * Read the number format of each cell style.
+     * @param {string} stylesPath The path of the styles part.
+     */
+    async _readStyles(stylesPath) {
+        const custom = {};
+        const numFmts = this._numFmts;
+        let inCellXfs = false;
+
+        await this._parseEntry(stylesPath, {
+            onopentag(name, attrs) {
+                if (name === "numFmt") {
+                    custom[attrs.numFmtId] = attrs.formatCode;
+                } else if (name === "cellXfs") {
+                    inCellXfs = true;
+                } else if (name === "xf" && inCellXfs) {
+                    const id = parseInt(attrs.numFmtId) || 0;
+                    numFmts.push(id in custom ? custom[id] : xlsx.SSF._table[id]);
+                }
+            },
+            onclosetag(name) {
+                if (name === "cellXfs") inCellXfs = false;
+            }
+        });
+    }
+
+    /**
+     * Read the merged ranges of a sheet.
+     * @param {string} sheetPath The path of the sheet part.
+     */
+    async _readMerges(sheetPath) {
+        const reader = this;
+        await this._parseEntry(sheetPath, {
+            onopentag(name, attrs) {
+                if (name === "mergeCell") reader._addMerge(attrs.ref);
+            }
+        });
+    }
+
+    /**
+     * Find the last column of a sheet that contains values (within the 'range' option).
+     * @param {string} sheetPath The path of the sheet part.
+     */
+    async _readUsedEndCol(sheetPath) {
+        const reader = this;
+        const range = this._range;
+        const sst = this._sharedStrings;
+        const numFmts = this._numFmts;
+        let rowIndex = -1;
+        let colIndex = -1;
+        let cell = null;
+        let text = null;
+        let inInline = false;
+
+        await this._parseEntry(sheetPath, {
+            onopentag(name, attrs) {
+                switch (name) {
+                    case "row":
+                        rowIndex = attrs.r ? parseInt(attrs.r) - 1 : rowIndex + 1;
+                        colIndex = -1;
+                        break;
+                    case "c":
+                        colIndex = attrs.r ? xlsx.utils.decode_cell(attrs.r).c : colIndex + 1;
+                        cell = { t: attrs.t || "n" };
+                        break;
+                    case "v":
+                        if (cell) text = "";
+                        break;
+                    case "is":
+                        inInline = true;
+                        break;
+                    case "t":
+                        if (inInline && text === null) text = "";
+                        break;
+                }
+            },
+            ontext(value) {
+                if (text !== null) text += value;
+            },
+            onclosetag(name) {
+                switch (name) {
+                    case "v":
+                    case "is":
+                        if (cell) cell.raw = text;
+                        inInline = false;
+                        text = null;
+                        break;
+                    case "c":
+                        // the same cells as those that widen the used range (see _enqueue)
+                        if (cell && cell.raw !== undefined && cell.raw !== null &&
+                            colIndex > (reader._usedEndCol === undefined ? -1 : reader._usedEndCol) &&
+                            !(range && (rowIndex < range.s.r || rowIndex > range.e.r ||
+                                colIndex < range.s.c || colIndex > range.e.c)) &&
+                            convertCell(cell, sst, numFmts, reader._epoch1904).v !== "") {
+                            reader._usedEndCol = colIndex;
+                        }
+                        cell = null;
+                        break;
+                }
+            }
+        });
+    }
+
+    /**
+     * Parse an archive entry with a SAX parser.
+     * @param {string} name The name of the entry to parse.
+     * @param {{onopentag?: Function, ontext?: Function, onclosetag?: Function}} handlers
+     * Callbacks invoked with local (unprefixed) tag names.
+     */
+    _parseEntry(name, handlers) {
+        return new Promise((resolve, reject) => {
+            this._zip.openReadStream(this._entries[name], (err, stream) => {
+                if (err) return reject(err);
+
+                const parser = createParser(handlers);
+                const decoder = new StringDecoder("utf8");
+
+                let failed = false;
+                const fail = error => {
+                    if (failed) return;
+                    failed = true;
+                    stream.destroy();
+                    reject(error);
+                };
+
+                parser.onerror = fail;
+
+                stream.on("data", chunk => {
+                    if (failed) return;
+                    try {
+                        parser.write(decoder.write(chunk));
+                    } catch (error) {
+                        fail(error);
+                    }
+                });
+                stream.on("end", () => {
+                    if (failed) return;
+                    try {
+                        parser.write(decoder.end()).close();
+                        resolve();
+                    } catch (error) {
+                        fail(error);
+                    }
+                });
+                stream.on("error", fail);
+            });
+        });
+    }
+
+    _openSheetStream(entry) {
+        return new Promise((resolve, reject) => {
+            this._zip.openReadStream(entry, (err, stream) => {
+                if (err) return reject(err);
+
+                const reader = this;
+                const sst = this._sharedStrings;
+                const numFmts = this._numFmts;
+                const decoder = new StringDecoder("utf8");
+                let row = null;
+                let rowIndex = -1;
+                let cell = null;
+                let colIndex = -1;
+                let text = null;
+                let inInline = false;
+
+                const parser = createParser({
+                    onopentag(name, attrs) {
+                        switch (name) {
+                            case "dimension":
+                                reader._setDimension(attrs.ref);
+                                break;
+                            case "row":
+                                rowIndex = attrs.r ? parseInt(attrs.r) - 1 : rowIndex + 1;
+                                colIndex = -1;
+                                row = [];
+                                break;
+                            case "c":
+                                colIndex = attrs.r ? xlsx.utils.decode_cell(attrs.r).c : colIndex + 1;
+                                cell = { t: attrs.t || "n" };
+                                if (attrs.s) cell.s = parseInt(attrs.s);
+                                break;
+                            case "v":
+                            case "f":
+                                if (cell) text = "";
+                                break;
+                            case "is":
+                                inInline = true;
+                                break;
+                            case "t":
+                                if (inInline && text === null) text = "";
+                                break;
+                            case "mergeCell":
+                                if (!reader._preloadMerges) reader._addMerge(attrs.ref);
+                                break;
+                        }
+                    },
+                    ontext(value) {
+                        if (text !== null) text += value;
+                    },
+                    onclosetag(name) {
+                        switch (name) {
+                            case "v":
+                                if (cell) cell.raw = text;
+                                text = null;
+                                break;
+                            case "f":
+                                if (cell) cell.f = text;
+                                text = null;
+                                break;
+                            case "is":
+                                if (cell) cell.raw = text;
+                                inInline = false;
+                                text = null;
+                                break;
+                            case "c":
+                                if (cell && cell.raw !== undefined && cell.raw !== null &&
+                                    reader._isColumnSelected(colIndex)) {
+                                    row.push([colIndex, convertCell(cell, sst, numFmts, reader._epoch1904)]);
+                                }
+                                cell = null;
+                                break;
+                            case "row":
+                                reader._enqueue(rowIndex, row);
+                                row = null;
+                                break;
+                        }
+                    }
+                });
+
+                let failed = false;
+                const fail = error => {
+                    if (failed) return;
+                    failed = true;
+                    this._streamError = error;
+                    stream.destroy();
+                    this._notify();
+                };
+
+                parser.onerror = fail;
+
+                stream.on("data", chunk => {
+                    if (failed) return;
+                    try {
+                        parser.write(decoder.write(chunk));
+                    } catch (error) {
+                        return fail(error);
+                    }
+                    if (this._queue.length >= this._highWaterMark) stream.pause();
+                    this._notify();
+                });
+
+                stream.on("end", () => {
+                    if (failed) return;
+                    try {
+                        parser.write(decoder.end()).close();
+                    } catch (error) {
+                        return fail(error);
+                    }
+                    this._streamEnded = true;
+                    this._notify();
+                });
+
+                stream.on("error", fail);
+
+                this._stream = stream;
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Return the value of a cell according to the current value mode.
+     * @param {object} cell The cell.
+     */
+    _cellValue(cell) {
+        switch (this._valueMode) {
+            case "cell":
+                return cell;
+            case "formatted":
+                return cell.w;
+            default:
+                return this._cellDates && _isDateCell(cell) ? this.convertToDate(cell.v) : cell.v;
+        }
+    }
+
+    /**
+     * Read the merged range that contains the cell at the specified indices.
+     * @param {number} colIndex The zero-based column index to read.
+     * @param {number} rowIndex The zero-based row index to read.
+     * @returns {{s: {r: number, c: number}, e: {r: number, c: number}}|undefined}
+     * The merged range, if known.
+     */
+    readCellMerge(colIndex, rowIndex) {
+        return findMerge(this._mergeLookup(), rowIndex, colIndex);
+    }
+
+    /**
+     * Select the columns to read.
+     * @param {string|number|(string|number)[]} columns The zero-based indices or
+     * letters ("C", "A:D") of the columns to read. Pass null to read all columns.
+     * @returns {FastXlsxStreamReader} A reference to the current FastXlsxStreamReader instance.
+     */
+    selectColumns(columns) {
+        this._columns = columns === undefined || columns === null ? null :
+            resolveColumnIndices(columns);
+        this._columnPositions = this._columns && new Map(this._columns.map((c, i) => [c, i]));
+        return this;
+    }
+
+    /**
+     * Is the specified column within the range and the selected columns?
+     * @param {number} colIndex The zero-based column index.
+     */
+    _isColumnSelected(colIndex) {
+        const range = this._range;
+        if (range && (colIndex < range.s.c || colIndex > range.e.c)) return false;
+        return !this._columnPositions || this._columnPositions.has(colIndex);
+    }
+
+    /**
+     * Return the position of a column in the rows, or -1 if it's not read.
+     * @param {number} colIndex The zero-based column index.
+     * @param {number} width The number of values in the rows.
+     */
+    _columnPosition(colIndex, width) {
+        const pos = this._columnPositions ?
+            this._columnPositions.get(colIndex) :
+            colIndex - this._startCol;
+        return pos === undefined || pos < 0 || pos >= width ? -1 : pos;
+    }
+
+    _addMerge(ref) {
+        if (!ref) return;
+        this._merges.push(xlsx.utils.decode_range(ref));
+        this._mergeIndex = null;
+    }
+
+    _mergeLookup() {
+        return this._mergeIndex || (this._mergeIndex = indexMerges(this._merges));
+    }
+
+    /**
+     * Repeat the value of merged cells across the part of their merged range
+     * that lies in the specified row.
+     * @param {any[]} row The row values.
+     * @param {number} index The zero-based row index.
+     * @param {[number, object][]} cells The cells of the row, with their column index.
+     */
+    _fillMerged(row, index, cells) {
+        const merges = this._mergeLookup().get(index);
+        if (!merges) return;
+
+        const origins = this._mergeOrigins;
+
+        for (const merge of merges) {
+            if (merge.s.r === index) {
+                const origin = cells.find(([colIndex]) => colIndex === merge.s.c);
+                if (origin) origins.set(merge, origin[1]);
+            }
+
+            const cell = origins.get(merge);
+            if (merge.e.r === index) origins.delete(merge);
+            if (!cell) continue;
+
+            const value = this._cellValue(cell);
+            for (let c = merge.s.c; c <= merge.e.c; c++) {
+                const pos = this._columnPosition(c, row.length);
+                if (pos === -1) continue;
+                if (row[pos] === undefined && !isMergeOrigin(merge, index, c)) row[pos] = value;
+            }
+        }
+    }
+
+    _setDimension(ref) {
+        if (!ref) return;
+        const range = intersectRange(xlsx.utils.decode_range(ref), this._range);
+        this._startRow = range.s.r;
+        this._startCol = range.s.c;
+        this._endRow = range.e.r;
+        this._endCol = this._usedEndCol !== undefined ? Math.min(range.e.c, this._usedEndCol) : range.e.c;
+        this._rowIndex = this._startRow - 1;
+        this._hasDimension = true;
+        this._dimension = xlsx.utils.decode_range(ref);
+    }
+
+    _enqueue(index, cells) {
+        const range = this._range;
+        if (range && index < range.s.r) return;
+        if (range && index > range.e.r) {
+            // the rest of the sheet is outside of the range
+            this._closeSheetStream();
+            return;
+        }
+
+        for (let i = 0; i < cells.length; i++) {
+            const [c, cell] = cells[i];
+            if (cell.v === "") continue;
+
+            const used = this._usedRange;
+            if (!used) {
+                this._usedRange = { s: { r: index, c }, e: { r: index, c } };
+            } else {
+                if (index < used.s.r) used.s.r = index;
+                if (c < used.s.c) used.s.c = c;
+                if (index > used.e.r) used.e.r = index;
+                if (c > used.e.c) used.e.c = c;
+            }
+        }
+
+        this._queue.push({ index, cells });
+    }
+
+    _notify() {
+        const waiter = this._waiter;
+        if (waiter) {
+            this._waiter = null;
+            waiter();
+        }
+    }
+
+    /**
+     * Return the next parsed row in sheet order, filling gaps between
+     * rows (and up to the declared end row) with empty rows.
+     * @returns {Promise<{index: number, cells: any[]}|null>}
+     */
+    async _nextRow() {
+        for (;;) {
+            if (this._streamError) {
+                const error = this._streamError;
+                this._streamError = null;
+                this._streamEnded = true;
+                throw error;
+            }
+
+            const queue = this._queue;
+            const expected = this._rowIndex + 1;
+
+            if (queue.length > 0) {
+                const next = queue[0];
+
+                if (this._startRow === undefined) {
+                    // no dimension: the first row read determines the start
+                    const first = this._range ? Math.max(next.index, this._range.s.r) : next.index;
+                    this._startRow = first;
+                    this._rowIndex = first - 1;
+                    continue;
+                }
+
+                if (this._trimToUsedRange && !(this._usedRange && this._usedRange.e.r >= expected)) {
+                    // only empty rows have been parsed: wait for a row with values, or the end
+                    if (this._streamEnded) return null;
+                    const stream = this._stream;
+                    if (stream && stream.isPaused()) stream.resume();
+                    await new Promise(resolve => this._waiter = resolve);
+                    continue;
+                }
+
+                if (next.index > expected && expected >= this._startRow) {
+                    return { index: expected, cells: [] };
+                }
+
+                queue.shift();
+
+                const stream = this._stream;
+                if (stream && stream.isPaused() && queue.length <= this._highWaterMark / 2)
+                    stream.resume();
+
+                return next;
+            }
+
+            if (this._streamEnded) {
+                if (this._hasDimension && !this._trimToUsedRange && expected <= this._endRow) {
+                    return { index: expected, cells: [] };
+                }
+                return null;
+            }
+
+            await new Promise(resolve => this._waiter = resolve);
+        }
+    }
+
+    _deliver(entry, onrecord) {
+        const context = this._thisArg;
+        const { index, cells } = entry;
+
+        if (!this._hasDimension) {
+            // widen the known range as rows come in
+            if (this._startCol === undefined) this._startCol = this._range ? this._range.s.c : 0;
+            if (this._usedEndCol !== undefined) {
+                // the width of the rows is that of the used range
+                this._endCol = this._usedEndCol;
+            } else {
+                for (let i = 0; i < cells.length; i++) {
+                    if (this._endCol === undefined || cells[i][0] > this._endCol)
+                        this._endCol = cells[i][0];
+                }
+            }
+            if (this._endRow === undefined || index > this._endRow)
+                this._endRow = index;
+        }
+
+        this._rowIndex = index;
+
+        if (typeof this.onbeforerecord === "function") {
+            this.onbeforerecord.call(context, index);
+        }
+
+        const columns = this._columns;
+        const width = columns ? columns.length :
+            (this._endCol === undefined ? 0 : this._endCol - this._startCol + 1);
+        const row = new Array(width).fill(undefined);
+        const oncell = this.oncell;
+        const hasCellCb = typeof oncell === "function";
+
+        for (let i = 0; i < cells.length; i++) {
+            const [colIndex, cell] = cells[i];
+            const pos = this._columnPosition(colIndex, width);
+            if (pos === -1) continue;
+
+            row[pos] = this._cellValue(cell);
+            if (hasCellCb)
+                oncell.call(context, cell, index, colIndex);
+        }
+
+        if (this._fillMergedCells) this._fillMerged(row, index, cells);
+
+        this._currentRow = row;
+
+        if (typeof onrecord === "function" && !!onrecord.call(context, row, index)) {
+            // abortion has been requested
+            this._abortRequested = true;
+            this._logger.debug("The operation was aborted.");
+        }
+
+        return row;
+    }
+
+    _resetState() {
+        this._queue = [];
+        this._waiter = null;
+        this._stream = null;
+        this._streamEnded = false;
+        this._streamError = null;
+        this._hasDimension = false;
+        this._dimension = null;
+        this._startRow = undefined;
+        this._startCol = undefined;
+        this._endRow = undefined;
+        this._endCol = undefined;
+        this._rowIndex = -1;
+        this._currentRow = undefined;
+        this._started = false;
+        this._abortRequested = false;
+        this._merges = [];
+        this._mergeIndex = null;
+        this._mergeOrigins = new Map();
+        this._usedRange = null;
+        this._usedEndCol = undefined;
+    }
+
+    _closeSheetStream() {
+        if (this._stream) {
+            // detach the old stream so that it can't touch the new state
+            this._stream.removeAllListeners();
+            this._stream.on("error", () => {});
+            this._stream.destroy();
+            this._stream = null;
+        }
+        this._streamEnded = true;
+        this._notify();
+    }
+
+    /**
+     * Fire the 'error' event handler (if any), or throw error.
+     * @param {Error|string} error The error to report.
+     */
+    _handleError(error) {
+        if (typeof error === "string")
+            error = new Error(error);
+
+        if (!!this.onerror) {
+            this.onerror.call(this._thisArg, error);
+        } else {
+            this._logger.error(error.message);
+            throw error;
+        }
+    }
+
+    _isDestroyed() {
+        if (this._destroyed || this._zip === null) {
+            this._handleError("The WorkSheet reader has been destroyed.");
+            return true;
+        }
+        return false;
+    }
+}
+
+const DEFAULT_HIGH_WATER_MARK = 512;
+
+const SUPPORTED_EVENTS = ["start", "cell", "beforerecord", "record", "end", "error"];
+
+const VALUE_MODES = ["raw", "formatted", "cell"];
+
+/**
+ * Make sure that the specified value is a supported value mode.
+ * @param {string} value The value mode ("raw" if not specified).
+ */
+const _ensureValueMode = value => {
+    if (value === undefined || value === null) return "raw";
+    if (VALUE_MODES.indexOf(value) === -1)
+        throw new Error(`Unknown value mode: ${value}. Expected one of: ${VALUE_MODES.join(", ")}.`);
+    return value;
+}
+
+/**
+ * Open a zip archive with lazily-read entries.
+ * @param {string|Buffer} source The name of the file to open, or its content.
+ */
+const openZip = source => new Promise((resolve, reject) => {
+    const callback = (err, zip) => {
+        if (err) reject(err);
+        else resolve(zip);
+    };
+
+    if (Buffer.isBuffer(source)) yauzl.fromBuffer(source, { lazyEntries: true }, callback);
+    else yauzl.open(source, { lazyEntries: true, autoClose: false }, callback);
+});
+
+/**
+ * Read the central directory of an archive into a map of entry names.
+ * @param {object} zip An open yauzl ZipFile.
+ */
+const readEntries = zip => new Promise((resolve, reject) => {
+    const entries = {};
+    zip.on("entry", entry => {
+        entries[entry.fileName] = entry;
+        zip.readEntry();
+    });
+    zip.once("end", () => resolve(entries));
+    zip.once("error", reject);
+    zip.readEntry();
+});
+
+/**
+ * Resolve a relationship target against the directory of its source part.
+ * @param {string} dir The directory of the part that owns the relationship.
+ * @param {string} target The relationship target.
+ */
+const resolvePath = (dir, target) => {
+    if (target.startsWith("/")) return target.substring(1);
+    return path.posix.normalize(dir ? `${dir}/${target}` : target);
+};
+
+/**
+ * The properties of the core properties part, keyed by local element name.
+ */
+const CORE_PROPERTIES = {
+    title: "title",
+    subject: "subject",
+    creator: "author",
+    keywords: "keywords",
+    description: "description",
+    category: "category",
+    lastModifiedBy: "lastModifiedBy",
+    created: "created",
+    modified: "modified"
+};
+
+/**
+ * The properties of the extended properties part, keyed by element name.
+ */
+const APP_PROPERTIES = {
+    Application: "application",
+    Company: "company",
+    Manager: "manager"
+};
+
+/**
+ * Create a strict SAX parser that reports local tag names.
+ * @param {{onopentag?: Function, ontext?: Function, onclosetag?: Function}} handlers
+ */
+const createParser = handlers => {
+    const parser = sax.parser(true, { trim: false, normalize: false });
+    const { onopentag, ontext, onclosetag } = handlers;
+
+    if (onopentag)
+        parser.onopentag = node => onopentag(localName(node.name), node.attributes);
+    if (ontext)
+        parser.ontext = parser.oncdata = ontext;
+    if (onclosetag)
+        parser.onclosetag = name => onclosetag(localName(name));
+
+    return parser;
+};
+
+const localName = name => {
+    const idx = name.indexOf(":");
+    return idx === -1 ? name : name.substring(idx + 1);
+};
+
+/**
+ * Convert a parsed &lt;c&gt; element into a cell object that mimics the
+ * ones produced by the xlsx package.
+ * @param {{t: string, raw: string, f?: string, s?: number}} cell The parsed cell.
+ * @param {string[]} sst The shared strings table.
+ * @param {string[]} numFmts The number format of each cell style.
+ * @param {boolean} epoch1904 true if the workbook uses the 1904 date system.
+ */
+const convertCell = (cell, sst, numFmts, epoch1904) => {
+    const { raw } = cell;
+    const result = { t: cell.t };
+
+    switch (cell.t) {
+        case "s":
+            result.v = sst[parseInt(raw)];
+            break;
+        case "str":
+        case "inlineStr":
+            result.t = "s";
+            result.v = raw;
+            break;
+        case "b":
+            result.v = raw === "1" || raw === "true";
+            break;
+        case "e":
+            result.v = raw;
+            break;
+        case "d":
+            result.v = raw;
+            break;
+        default:
+            result.t = "n";
+            result.v = parseFloat(raw);
+            break;
+    }
+
+    if (cell.f !== undefined) result.f = cell.f;
+    if (cell.s !== undefined) {
+        const z = numFmts[cell.s];
+        if (z && z !== "General") result.z = z;
+    }
+
+    result.w = formatCell(result, epoch1904);
+    return result;
+};
+
+/**
+ * Return the text of a cell, as displayed by Excel.
+ * @param {{t: string, v: any, z?: string}} cell The converted cell.
+ * @param {boolean} epoch1904 true if the workbook uses the 1904 date system.
+ */
+const formatCell = (cell, epoch1904) => {
+    const { v } = cell;
+    if (v === undefined) return undefined;
+
+    if (cell.t === "n") {
+        try {
+            return xlsx.SSF.format(cell.z || "General", v, { date1904: epoch1904 });
+        } catch {
+            return String(v);
+        }
+    }
+
+    if (cell.t === "b") return v ? "TRUE" : "FALSE";
+    return String(v);
+};
+
+/**
+ * Is the specified cell a date, according to its type or number format?
+ * @param {{t: string, z?: string}} cell The cell to check.
+ */
+const _isDateCell = cell => cell.t === "d" || (cell.t === "n" && isDateFormat(cell.z));
+
+/**
+ * Make sure that the specified value is a function.
+ * @param {Function} value A callback function.
+ */
+const _ensureFunction = value => {
+    if (value !== undefined && value !== null && typeof value !== "function") {
+        throw new Error("value is not a function.");
+    }
+    return value;
+}
+
+module.exports = FastXlsxStreamReader;
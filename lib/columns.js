@@ -0,0 +1,97 @@
+const xlsx = require("xlsx");
+const { normalizeColumnName } = require("./schema");
+
+const LETTERS = /^\s*([A-Z]{1,3})\s*(?::\s*([A-Z]{1,3})\s*)?$/;
+
+/**
+ * Normalize a column selection to an array of entries.
+ * @param {string|number|(string|number)[]} columns The selected columns.
+ */
+const toList = columns => columns instanceof Array ? columns :
+    (columns === undefined || columns === null ? [] : [columns]);
+
+/**
+ * May a column selection refer to columns by header name? Any string may be
+ * a header name, even if it looks like a column letter.
+ * @param {string|number|(string|number)[]} columns The selected columns.
+ */
+const hasColumnNames = columns => toList(columns).some(column => typeof column === "string");
+
+/**
+ * Resolve a column selection to absolute, zero-based column indices.
+ * @param {string|number|(string|number)[]} columns The selected columns: zero-based
+ * indices, uppercase letters ("C"), ranges of letters ("A:D") or header names.
+ * Header names take precedence over letters.
+ * @param {string[]} header Optional: The header used to resolve names.
+ * @param {number} startCol Optional: The index of the first column of the header.
+ * @param {boolean|object} policy Optional: The normalization policy of the names
+ * (see normalizeColumnName).
+ * @returns {number[]} The column indices, in selection order and without duplicates.
+ */
+const resolveColumnIndices = (columns, header, startCol, policy) => {
+    const indices = [];
+    const add = index => {
+        if (indices.indexOf(index) === -1) indices.push(index);
+    };
+
+    for (const column of toList(columns)) {
+        if (typeof column === "number") {
+            if (!(column >= 0)) throw new Error(`Invalid column index: ${column}`);
+            add(column | 0);
+            continue;
+        }
+
+        const name = normalizeColumnName(column, policy);
+        const position = (header || []).findIndex(h =>
+            h !== undefined && h !== null && normalizeColumnName(h, policy) === name);
+
+        if (position > -1) {
+            add((startCol || 0) + position);
+            continue;
+        }
+
+        const letters = LETTERS.exec(String(column));
+        if (!letters) throw new Error(`Column not found: ${column}`);
+
+        const first = xlsx.utils.decode_col(letters[1]);
+        const last = letters[2] ? xlsx.utils.decode_col(letters[2]) : first;
+        for (let c = Math.min(first, last); c <= Math.max(first, last); c++) add(c);
+    }
+
+    return indices;
+};
+
+/**
+ * Parse an A1-style range, such as "B5:H2000".
+ * @param {string} ref The range to parse.
+ * @returns {{s: {r: number, c: number}, e: {r: number, c: number}}} The decoded range.
+ */
+const parseRange = ref => {
+    if (typeof ref !== "string" || !/^\s*[A-Za-z]{1,3}\d+(:[A-Za-z]{1,3}\d+)?\s*$/.test(ref))
+        throw new Error(`Invalid range: ${ref}`);
+    const { s, e } = xlsx.utils.decode_range(ref.trim().toUpperCase());
+    return {
+        s: { r: Math.min(s.r, e.r), c: Math.min(s.c, e.c) },
+        e: { r: Math.max(s.r, e.r), c: Math.max(s.c, e.c) }
+    };
+};
+
+/**
+ * Return the intersection of the used range of a sheet and the range to read.
+ * The result is empty (end before start) when they don't overlap.
+ * @param {{s: {r: number, c: number}, e: {r: number, c: number}}} ref The used range.
+ * @param {{s: {r: number, c: number}, e: {r: number, c: number}}} range Optional:
+ * The range to read.
+ */
+const intersectRange = (ref, range) => {
+    if (!range) return ref;
+    return {
+        s: { r: Math.max(ref.s.r, range.s.r), c: Math.max(ref.s.c, range.s.c) },
+        e: { r: Math.min(ref.e.r, range.e.r), c: Math.min(ref.e.c, range.e.c) }
+    };
+};
+
+module.exports.hasColumnNames = hasColumnNames;
+module.exports.resolveColumnIndices = resolveColumnIndices;
+module.exports.parseRange = parseRange;
+module.exports.intersectRange = intersectRange;
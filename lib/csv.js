@@ -0,0 +1,31 @@
+/**
+ * Convert a value to a field of a delimited (CSV, TSV) line, quoting it
+ * as described in RFC 4180 when needed.
+ * @param {any} value The value to convert.
+ * @param {string} delimiter The field delimiter.
+ */
+const formatField = (value, delimiter) => {
+    if (value === undefined || value === null) return "";
+
+    let text;
+    if (value instanceof Date) text = isNaN(value) ? "" : value.toISOString();
+    else if (typeof value === "object") text = JSON.stringify(value);
+    else text = String(value);
+
+    if (text.indexOf('"') > -1 || text.indexOf(delimiter) > -1 ||
+        text.indexOf("\n") > -1 || text.indexOf("\r") > -1) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+};
+
+/**
+ * Convert an array of values to a delimited line (without the line ending).
+ * @param {any[]} values The values to convert.
+ * @param {string} delimiter The field delimiter.
+ */
+const formatLine = (values, delimiter) =>
+    values.map(value => formatField(value, delimiter)).join(delimiter);
+
+module.exports.formatField = formatField;
+module.exports.formatLine = formatLine;
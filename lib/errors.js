@@ -0,0 +1,109 @@
+/**
+ * Base class of the errors reported by the library.
+ */
+class FastXlsxError extends Error {
+  /**
+   * Initialize a new instance of the FastXlsxError class.
+   * @param {string} message The error message.
+   * @param {string} code A machine-readable error code.
+   * @param {Error} cause Optional: The underlying error.
+   */
+  constructor(message, code, cause) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code || "ERR_FAST_XLSX";
+    if (cause !== undefined) this.cause = cause;
+  }
+
+  /**
+   * Return the specified error as an instance of FastXlsxError. Errors that
+   * are not already instances of FastXlsxError are wrapped in a ReadError.
+   * @param {Error|string} error The error to convert.
+   * @returns {FastXlsxError}
+   */
+  static from(error) {
+    if (error instanceof FastXlsxError) return error;
+    if (error instanceof Error) return new ReadError(error.message, error);
+    return new ReadError(String(error));
+  }
+}
+
+/**
+ * Reported when a row doesn't match the schema.
+ */
+class SchemaError extends FastXlsxError {
+  /**
+   * Initialize a new instance of the SchemaError class.
+   * @param {string} message The error message.
+   * @param {string} column Optional: The name of the offending column.
+   */
+  constructor(message, column) {
+    super(message, "ERR_SCHEMA");
+    this.column = column;
+  }
+}
+
+/**
+ * Reported when a row fails the validation rules of the schema and the
+ * 'invalidRows' option is set to "stop".
+ */
+class ValidationError extends FastXlsxError {
+  /**
+   * Initialize a new instance of the ValidationError class.
+   * @param {{row: number, column: string, value: any, reason: string}[]} errors
+   * The validation errors of the offending row.
+   */
+  constructor(errors) {
+    const [first] = errors;
+    super(`Invalid value in row ${first.row + 1}, column "${first.column}": ${first.reason}.`,
+      "ERR_VALIDATION");
+    this.row = first.row;
+    this.column = first.column;
+    this.value = first.value;
+    this.reason = first.reason;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Reported when a 'filter' or 'map' stage of the pipeline throws.
+ */
+class TransformError extends FastXlsxError {
+  /**
+   * Initialize a new instance of the TransformError class.
+   * @param {string} message The error message.
+   * @param {number} row The zero-based index of the offending row.
+   * @param {Error} cause The error thrown by the stage.
+   */
+  constructor(message, row, cause) {
+    super(message, "ERR_TRANSFORM", cause);
+    this.row = row;
+  }
+}
+
+/**
+ * Reported when the workbook or worksheet cannot be read.
+ */
+class ReadError extends FastXlsxError {
+  constructor(message, cause) {
+    super(message, "ERR_READ", cause);
+  }
+}
+
+/**
+ * Reported when the output stream cannot be written.
+ */
+class OutputError extends FastXlsxError {
+  constructor(message, cause) {
+    super(message, "ERR_OUTPUT", cause);
+  }
+}
+
+module.exports = {
+  FastXlsxError,
+  SchemaError,
+  ValidationError,
+  TransformError,
+  ReadError,
+  OutputError
+};
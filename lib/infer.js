@@ -0,0 +1,167 @@
+const { DateTime, Time, isDateFormat } = require("./xldates");
+const { Integer } = require("./schema");
+
+/**
+ * The inferred kinds of values, with the schema type and the JSON Schema
+ * of each kind. The JSON Schema reads back as the same type (see normalizeSchema).
+ */
+const KINDS = {
+    string: { type: String, json: { type: "string" } },
+    number: { type: Number, json: { type: "number" } },
+    integer: { type: Integer, json: { type: "integer" } },
+    boolean: { type: Boolean, json: { type: "boolean" } },
+    date: { type: Date, json: { type: "string", format: "date" } },
+    datetime: { type: DateTime, json: { type: "string", format: "date-time" } },
+    time: { type: Time, json: { type: "string", format: "time", pattern: "^\\d{2}:\\d{2}:\\d{2}$" } }
+};
+
+const DATE_KINDS = ["date", "datetime", "time"];
+
+/**
+ * Return the kind of value of a cell, or undefined if the cell is empty.
+ * Dates are detected with the number format of the cell ('z' property).
+ * @param {{t: string, v: any, z?: string}} cell The cell object.
+ * @returns {string|undefined} One of the keys of KINDS.
+ */
+const cellKind = cell => {
+    if (!cell || cell.v === undefined || cell.v === null || cell.v === "") return undefined;
+
+    switch (cell.t) {
+        case "b":
+            return "boolean";
+        case "d":
+            return cell.v.getUTCHours() || cell.v.getUTCMinutes() || cell.v.getUTCSeconds() ?
+                "datetime" : "date";
+        case "n":
+            if (isDateFormat(cell.z)) {
+                if (cell.v < 1) return "time";
+                return Number.isInteger(cell.v) ? "date" : "datetime";
+            }
+            return Number.isInteger(cell.v) ? "integer" : "number";
+        case "e":
+            // error values (#N/A, #DIV/0!...) say nothing about the column
+            return undefined;
+        default:
+            return "string";
+    }
+};
+
+/**
+ * Combine the kinds of two values of the same column.
+ * @param {string} a The kind of the values seen so far, if any.
+ * @param {string} b The kind of a value.
+ */
+const mergeKinds = (a, b) => {
+    if (a === undefined || a === b) return b;
+    if ((a === "integer" && b === "number") || (a === "number" && b === "integer")) return "number";
+    if (DATE_KINDS.indexOf(a) > -1 && DATE_KINDS.indexOf(b) > -1) return "datetime";
+    return "string";
+};
+
+/**
+ * Infer the kind of values of a column from sample cells.
+ * @param {object[]} cells The sample cell objects of the column.
+ * @param {number} maxEnumValues The maximum number of distinct strings of an enum.
+ * @returns {{kind: string, nullable: boolean, enum?: string[]}}
+ */
+const inferColumn = (cells, maxEnumValues) => {
+    let kind;
+    let nullable = false;
+    const values = [];
+
+    cells.forEach(cell => {
+        const k = cellKind(cell);
+        if (k === undefined) {
+            nullable = true;
+        } else {
+            kind = mergeKinds(kind, k);
+            values.push(k === "string" ? String(cell.v).trim() : cell.v);
+        }
+    });
+
+    const column = { kind: kind || "string", nullable: nullable || kind === undefined };
+
+    if (column.kind === "string" && maxEnumValues > 0) {
+        const distinct = Array.from(new Set(values.map(String)));
+        // an enum is a small set of values that repeat
+        if (distinct.length <= maxEnumValues && values.length >= distinct.length * 2)
+            column.enum = distinct.sort();
+    }
+
+    return column;
+};
+
+/**
+ * Convert a column name to a camelCase property name, such as "unitPrice"
+ * for "Unit Price (€)". Accents and punctuation are removed.
+ * @param {string} name The column name.
+ * @returns {string} The property name, or an empty string if there is no letter or digit.
+ */
+const toPropName = name => {
+    const words = String(name).normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+        .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+        .split(/[^A-Za-z0-9]+/)
+        .filter(word => word !== "");
+
+    const prop = words.map((word, i) => i === 0 ?
+        word.toLowerCase() :
+        word[0].toUpperCase() + word.substring(1).toLowerCase()).join("");
+
+    return /^\d/.test(prop) ? "_" + prop : prop;
+};
+
+/**
+ * Create a schema, and the equivalent JSON Schema of the records, from the
+ * sample cells of the columns of a sheet.
+ * @param {{key: string, cells: object[]}[]} columns The schema key (column name) and
+ * the sample cell objects of each column.
+ * @param {{maxEnumValues?: number}} options Optional: 'maxEnumValues' is the maximum
+ * number of distinct strings of a column inferred as an enum (defaults to 10, 0 disables enums).
+ * @returns {{schema: object, jsonSchema: object}}
+ */
+const createSchema = (columns, options) => {
+    const { maxEnumValues = 10 } = options || {};
+    const schema = {};
+    const properties = {};
+    const props = new Set();
+
+    columns.forEach(({ key, cells }, index) => {
+        const column = inferColumn(cells, maxEnumValues);
+        const kind = KINDS[column.kind];
+
+        // property names are unique
+        const base = toPropName(key) || `column${index + 1}`;
+        let prop = base;
+        for (let n = 2; props.has(prop); n++) prop = base + n;
+        props.add(prop);
+
+        const entry = schema[key] = { prop, type: kind.type };
+        // the title is the column name, so that the JSON Schema can be read back as a schema
+        const json = properties[prop] = Object.assign({ title: key }, kind.json);
+
+        if (column.enum) {
+            entry.enum = column.enum;
+            json.enum = column.enum.slice();
+        }
+
+        if (column.nullable) {
+            entry.nullable = true;
+            json.type = [json.type, "null"];
+            if (json.enum) json.enum.push(null);
+        }
+    });
+
+    const jsonSchema = {
+        $schema: "http://json-schema.org/draft-07/schema#",
+        type: "object",
+        properties,
+        required: Object.keys(properties)
+    };
+
+    return { schema, jsonSchema };
+};
+
+module.exports.cellKind = cellKind;
+module.exports.inferColumn = inferColumn;
+module.exports.toPropName = toPropName;
+module.exports.createSchema = createSchema;
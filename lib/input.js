@@ -0,0 +1,57 @@
+const { Readable } = require("stream");
+
+/**
+ * Is the specified input a readable stream?
+ * @param {any} input The input to check.
+ */
+const isReadable = input => input instanceof Readable ||
+    (!!input && typeof input.pipe === "function" && typeof input.on === "function");
+
+/**
+ * Convert in-memory binary data to a Buffer, without copying it.
+ * @param {string|Buffer|Uint8Array|ArrayBuffer} input A file name or binary data.
+ * @returns {string|Buffer} The file name, or a Buffer.
+ */
+const toBuffer = input => {
+    if (typeof input === "string" || Buffer.isBuffer(input)) return input;
+    if (input instanceof ArrayBuffer) return Buffer.from(input);
+    if (ArrayBuffer.isView(input)) return Buffer.from(input.buffer, input.byteOffset, input.byteLength);
+    throw new TypeError("The input must be a file name, a Buffer, a Uint8Array, an ArrayBuffer or a Readable stream.");
+};
+
+/**
+ * Read a stream to the end.
+ * @param {Readable} stream The stream to read.
+ * @returns {Promise<Buffer>} The content of the stream.
+ */
+const readStream = stream => new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on("data", chunk => chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : toBuffer(chunk)));
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+    stream.on("error", reject);
+});
+
+/**
+ * Resolve an input to a file name or a Buffer. Streams are read into memory:
+ * the central directory of an .xlsx archive is at its end, so reading it
+ * requires random access.
+ * @param {string|Buffer|Uint8Array|ArrayBuffer|Readable} input The input.
+ * @returns {Promise<string|Buffer>} The file name, or a Buffer.
+ */
+const resolveInput = async input => isReadable(input) ? readStream(input) : toBuffer(input);
+
+/**
+ * Return a short description of an input, for logging purposes.
+ * @param {string|Buffer|Uint8Array|ArrayBuffer|Readable} input The input.
+ */
+const describeInput = input => {
+    if (typeof input === "string") return input;
+    if (isReadable(input)) return "(stream)";
+    if (input && typeof input.byteLength === "number") return `(${input.byteLength} bytes)`;
+    return String(input);
+};
+
+module.exports.isReadable = isReadable;
+module.exports.toBuffer = toBuffer;
+module.exports.resolveInput = resolveInput;
+module.exports.describeInput = describeInput;
@@ -0,0 +1,38 @@
+/**
+ * The log levels, from the most to the least verbose.
+ */
+const LEVELS = ["debug", "info", "warn", "error"];
+
+const noop = () => {};
+
+/**
+ * Create the logger used by the readers. Without a logger, nothing is logged.
+ * @param {{debug?: Function, info?: Function, warn?: Function, error?: Function,
+ * log?: Function}} logger Optional: An object that logs messages, such as console
+ * or a pino or winston logger. Levels without a method of their own use 'log', if any.
+ * @param {"debug"|"info"|"warn"|"error"|"silent"} level Optional: The minimum
+ * level of the messages to log (defaults to "info").
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}}
+ */
+const createLogger = (logger, level) => {
+    const min = level === undefined ? LEVELS.indexOf("info") :
+        (level === "silent" ? LEVELS.length : LEVELS.indexOf(level));
+
+    if (min === -1)
+        throw new Error(`Invalid log level: "${level}". Supported levels are ${LEVELS.join(", ")}, silent.`);
+
+    const result = {};
+
+    LEVELS.forEach((name, i) => {
+        const method = !logger ? null :
+            (typeof logger[name] === "function" ? logger[name] :
+                (typeof logger.log === "function" ? logger.log : null));
+
+        result[name] = method && i >= min ? method.bind(logger) : noop;
+    });
+
+    return result;
+};
+
+module.exports.LEVELS = LEVELS;
+module.exports.createLogger = createLogger;
@@ -0,0 +1,41 @@
+/**
+ * Index merged ranges by row, for fast lookups.
+ * @param {{s: {r: number, c: number}, e: {r: number, c: number}}[]} merges
+ * The merged ranges of a sheet.
+ * @returns {Map<number, object[]>} The merged ranges covering each row.
+ */
+const indexMerges = merges => {
+    const index = new Map();
+    for (const merge of merges || []) {
+        for (let r = merge.s.r; r <= merge.e.r; r++) {
+            if (!index.has(r)) index.set(r, []);
+            index.get(r).push(merge);
+        }
+    }
+    return index;
+};
+
+/**
+ * Return the merged range that contains a cell, if any.
+ * @param {Map<number, object[]>} index The merged ranges, as returned by indexMerges.
+ * @param {number} rowIndex The zero-based row index of the cell.
+ * @param {number} colIndex The zero-based column index of the cell.
+ */
+const findMerge = (index, rowIndex, colIndex) => {
+    const merges = index && index.get(rowIndex);
+    if (!merges) return undefined;
+    return merges.find(m => colIndex >= m.s.c && colIndex <= m.e.c);
+};
+
+/**
+ * Is the specified cell the top-left cell of a merged range?
+ * @param {{s: {r: number, c: number}}} merge The merged range.
+ * @param {number} rowIndex The zero-based row index of the cell.
+ * @param {number} colIndex The zero-based column index of the cell.
+ */
+const isMergeOrigin = (merge, rowIndex, colIndex) =>
+    merge.s.r === rowIndex && merge.s.c === colIndex;
+
+module.exports.indexMerges = indexMerges;
+module.exports.findMerge = findMerge;
+module.exports.isMergeOrigin = isMergeOrigin;
@@ -0,0 +1,101 @@
+/**
+ * The key of a path segment that appends to an array ("[]").
+ */
+const APPEND = null;
+
+/**
+ * The parsed property paths, keyed by property name.
+ */
+const PATHS = new Map();
+
+/**
+ * Parse the property path of a schema entry: property names separated by dots,
+ * followed by array indices ("contacts[0].email") or, at the end of the path,
+ * by "[]" to append the values of several columns to an array ("tags[]").
+ * @param {string} prop The 'prop' of a schema entry.
+ * @returns {(string|number|null)[]|undefined} The keys of the path (null appends
+ * to an array), or undefined if the path is invalid.
+ */
+const parsePropPath = prop => {
+    if (typeof prop !== "string") return [prop];
+    if (PATHS.has(prop)) return PATHS.get(prop);
+
+    let path = [];
+
+    if (prop.indexOf(".") === -1 && prop.indexOf("[") === -1 && prop.indexOf("]") === -1) {
+        path.push(prop);
+    } else {
+        for (const part of prop.split(".")) {
+            const match = /^([^[\]]+)((?:\[\d*\])*)$/.exec(part);
+            if (!match) {
+                path = undefined;
+                break;
+            }
+            path.push(match[1]);
+            (match[2].match(/\[\d*\]/g) || []).forEach(index =>
+                path.push(index === "[]" ? APPEND : parseInt(index.substring(1), 10)));
+        }
+
+        // appending is only supported at the end of the path
+        if (path && path.indexOf(APPEND) > -1 && path.indexOf(APPEND) < path.length - 1) path = undefined;
+    }
+
+    PATHS.set(prop, path);
+    return path;
+};
+
+/**
+ * Set the value of a property of a record, creating the intermediate objects
+ * and arrays of its path. Empty values are not appended to arrays, which are
+ * created nonetheless.
+ * @param {object} record The record.
+ * @param {string} prop The property path (see parsePropPath).
+ * @param {any} value The value to set.
+ */
+const setProp = (record, prop, value) => {
+    const path = parsePropPath(prop) || [prop];
+    let target = record;
+
+    for (let i = 0; i < path.length - 1; i++) {
+        const key = path[i];
+        if (target[key] === undefined || target[key] === null || typeof target[key] !== "object")
+            target[key] = typeof path[i + 1] === "string" ? {} : [];
+        target = target[key];
+    }
+
+    const last = path[path.length - 1];
+
+    if (last !== APPEND) target[last] = value;
+    else if (value !== undefined && value !== null && value !== "") target.push(value);
+};
+
+/**
+ * Get the value of a property of a record. A path that ends with "[]" returns the array.
+ * @param {object} record The record.
+ * @param {string} prop The property path (see parsePropPath).
+ */
+const getProp = (record, prop) => {
+    const path = parsePropPath(prop) || [prop];
+    let value = record;
+
+    for (const key of path) {
+        if (key === APPEND) break;
+        if (value === undefined || value === null) return undefined;
+        value = value[key];
+    }
+
+    return value;
+};
+
+/**
+ * Return the path of the property that holds the values of a schema entry:
+ * the path of the array for the entries that append to one.
+ * @param {string} prop The property path (see parsePropPath).
+ */
+const propField = prop => typeof prop === "string" && prop.endsWith("[]") ?
+    prop.substring(0, prop.length - 2) : prop;
+
+module.exports.parsePropPath = parsePropPath;
+module.exports.setProp = setProp;
+module.exports.getProp = getProp;
+module.exports.propField = propField;
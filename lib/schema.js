@@ -0,0 +1,392 @@
+const fs = require("fs");
+const path = require("path");
+const {
+    DateTime,
+    Time,
+    tryConvertDate,
+    tryConvertDateOnly,
+    tryConvertTime
+} = require("./xldates");
+const { SchemaError } = require("./errors");
+const { parsePropPath } = require("./props");
+
+/**
+ * Is the specified cell value empty?
+ * @param {any} value The value to check.
+ */
+const isEmpty = value => value === undefined || value === null || value === "";
+
+/**
+ * The type of the schema entries whose values are whole numbers.
+ * @param {any} value The value to convert.
+ */
+function Integer(value) {
+    return Number(value);
+}
+
+/**
+ * The JSON type names that can be used as the type of a schema entry.
+ */
+const TYPE_NAMES = {
+    string: String,
+    number: Number,
+    integer: Integer,
+    boolean: Boolean,
+    date: Date,
+    datetime: DateTime,
+    time: Time
+};
+
+/**
+ * The type names of the JSON Schema string formats.
+ */
+const JSON_FORMATS = {
+    "date": "date",
+    "date-time": "datetime",
+    "time": "time"
+};
+
+const isDateType = cast => cast === DateTime ||
+    (typeof cast === "function" && !!cast.prototype && cast.prototype.constructor.name === "Date");
+
+/**
+ * The texts of the cells that convert to booleans (compared in lowercase).
+ */
+const BOOLEAN_TEXTS = {
+    "true": true,
+    "false": false,
+    "yes": true,
+    "no": false,
+    "1": true,
+    "0": false
+};
+
+/**
+ * Convert a cell value to a boolean: booleans, the numbers 0 and 1, and the
+ * texts of BOOLEAN_TEXTS. Other values are returned as is, and reported by checkType.
+ * @param {any} value The value to convert.
+ */
+const toBoolean = value => {
+    if (typeof value === "boolean") return value;
+    if (value === 0 || value === 1) return value === 1;
+    if (typeof value === "string") {
+        const text = value.trim().toLowerCase();
+        if (BOOLEAN_TEXTS.hasOwnProperty(text)) return BOOLEAN_TEXTS[text];
+    }
+    return value;
+};
+
+const isObject = value => value !== null && typeof value === "object" && !(value instanceof Array);
+
+/**
+ * Convert a cell value using the type of a schema entry.
+ * @param {Function} cast The type of the schema entry (e.g. Number, String,
+ * Date, DateTime, Time). Date values have no time component.
+ * @param {any} value The value to convert.
+ * @param {{epoch1904?: boolean, timeZone?: string}} options Optional: How to
+ * convert dates: the workbook's date system and the time zone of the values.
+ */
+const castValue = (cast, value, options) => {
+    if (typeof cast !== "function") return value;
+
+    const { epoch1904, timeZone } = options || {};
+
+    if (cast === DateTime) return tryConvertDate(value, epoch1904, timeZone);
+    if (cast === Time) return tryConvertTime(value, timeZone);
+    if (isDateType(cast)) return tryConvertDateOnly(value, epoch1904, timeZone);
+    // Boolean("false") is true
+    if (cast === Boolean) return toBoolean(value);
+    return cast(value);
+};
+
+/**
+ * Check that a converted value is valid for the type of a schema entry.
+ * @param {Function} cast The type of the schema entry.
+ * @param {any} value The converted value.
+ * @returns {string|undefined} The reason why the value is invalid, if any.
+ */
+const checkType = (cast, value) => {
+    if ((cast === Number || cast === Integer) && typeof value === "number" && isNaN(value))
+        return "is not a valid number";
+    if (cast === Integer && !Number.isInteger(value))
+        return "is not a valid integer";
+    if (cast === Boolean && typeof value !== "boolean")
+        return "is not a valid boolean";
+    if (isDateType(cast) && (!(value instanceof Date) || isNaN(value)))
+        return "is not a valid date";
+    if (cast === Time && !/^\d{2}:\d{2}:\d{2}$/.test(value))
+        return "is not a valid time";
+};
+
+/**
+ * Convert a cell value according to a schema entry. Empty values (and the
+ * columns missing from the sheet) are replaced with the entry's default value
+ * (if any), with null when the entry is nullable, or left undefined: they are not
+ * converted, which would turn them into 0 or an invalid date.
+ * @param {{type?: Function, required?: boolean, nullable?: boolean, default?: any}} meta
+ * The schema entry.
+ * @param {any} value The cell value.
+ * @param {{epoch1904?: boolean, timeZone?: string}} options Optional: How to convert dates.
+ * @returns {{value: any, reason?: string}} The converted value, and the
+ * reason why it is invalid, if any.
+ */
+const mapValue = (meta, value, options) => {
+    const { type: cast, required, nullable } = meta;
+
+    if (isEmpty(value)) {
+        if (meta.default !== undefined) {
+            const value = typeof meta.default === "function" ? meta.default() : meta.default;
+            return { value };
+        }
+        if (required) return { value: nullable ? null : undefined, reason: "is required" };
+        return { value: nullable ? null : undefined };
+    }
+
+    const converted = castValue(cast, value, options);
+    return { value: converted, reason: checkType(cast, converted) };
+};
+
+/**
+ * Validate a converted value against the constraints of a schema entry:
+ * 'enum', 'min', 'max' (numbers and dates are compared by value, strings
+ * by length), 'pattern' and 'validate'. Empty values are not checked.
+ * @param {{enum?: any[], min?: any, max?: any, pattern?: RegExp|string,
+ * validate?: (value: any, record: object) => boolean|string}} meta The schema entry.
+ * @param {any} value The converted value.
+ * @param {object} record The record the value belongs to.
+ * @returns {string|undefined} The reason why the value is invalid, if any.
+ */
+const validateValue = (meta, value, record) => {
+    if (isEmpty(value)) return;
+
+    if (meta.enum instanceof Array && meta.enum.indexOf(value) === -1)
+        return `must be one of: ${meta.enum.join(", ")}`;
+
+    const measure = v => v instanceof Date ? v.getTime() :
+        (typeof v === "string" ? v.length : v);
+    const bound = v => value instanceof Date ? new Date(v).getTime() : v;
+
+    if (meta.min !== undefined && measure(value) < bound(meta.min))
+        return `must be greater than or equal to ${meta.min}`;
+
+    if (meta.max !== undefined && measure(value) > bound(meta.max))
+        return `must be less than or equal to ${meta.max}`;
+
+    if (meta.pattern !== undefined) {
+        const pattern = meta.pattern instanceof RegExp ? meta.pattern : new RegExp(meta.pattern);
+        if (!pattern.test(String(value)))
+            return `does not match the pattern ${pattern}`;
+    }
+
+    if (typeof meta.validate === "function") {
+        let result;
+        try {
+            result = meta.validate(value, record);
+        } catch (error) {
+            return error && error.message ? error.message : String(error);
+        }
+        if (typeof result === "string") return result;
+        if (result === false) return "is invalid";
+    }
+};
+
+/**
+ * Normalize a column name for matching purposes.
+ * @param {string} name The column name.
+ * @param {boolean|{case?: boolean, whitespace?: boolean, punctuation?: boolean,
+ * accents?: boolean}} policy The normalization policy: true applies all
+ * normalizations, a falsy value only trims the name.
+ */
+const normalizeColumnName = (name, policy) => {
+    let text = String(name).trim();
+    if (!policy) return text;
+
+    const all = policy === true;
+
+    if (all || policy.accents)
+        text = text.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+    if (all || policy.punctuation)
+        text = text.replace(/[^\p{L}\p{N}\s]/gu, "");
+    if (all || policy.whitespace)
+        text = text.replace(/\s+/g, "");
+    if (all || policy.case)
+        text = text.toLowerCase();
+
+    return text;
+};
+
+/**
+ * Match the columns of a header with the entries of a schema, using the
+ * schema keys first, then the entries' aliases.
+ * @param {string[]} header The header columns.
+ * @param {object} schema The schema.
+ * @param {boolean|object} policy The normalization policy (see normalizeColumnName).
+ * @returns {string[]} The schema key of each header column, or undefined
+ * for unmapped columns.
+ */
+const resolveColumns = (header, schema, policy) => {
+    const lookup = new Map();
+    const add = (name, key) => {
+        const normalized = normalizeColumnName(name, policy);
+        if (!lookup.has(normalized)) lookup.set(normalized, key);
+    };
+
+    for (const key in schema) add(key, key);
+    for (const key in schema) {
+        const { aliases } = schema[key] || {};
+        if (aliases instanceof Array) aliases.forEach(alias => add(alias, key));
+    }
+
+    const used = new Set();
+    return header.map(column => {
+        if (column === undefined || column === null) return undefined;
+
+        const key = lookup.get(normalizeColumnName(column, policy));
+        if (key === undefined || used.has(key)) return undefined;
+
+        used.add(key);
+        return key;
+    });
+};
+
+/**
+ * Resolve the type of a schema entry.
+ * @param {Function|string} type A function (e.g. Number, Date, DateTime) or a JSON
+ * type name: "string", "number", "integer", "boolean", "date", "datetime" or "time".
+ * @param {string} column The column of the schema entry.
+ * @returns {Function} The type function, or undefined if no type is specified.
+ */
+const resolveType = (type, column) => {
+    if (type === undefined || type === null || typeof type === "function") return type || undefined;
+
+    const cast = typeof type === "string" ? TYPE_NAMES[type.toLowerCase()] : undefined;
+    if (!cast)
+        throw new SchemaError(`Unknown type "${type}" for column "${column}". ` +
+            `Supported types are ${Object.keys(TYPE_NAMES).join(", ")}.`, column);
+
+    return cast;
+};
+
+/**
+ * Convert a property of a JSON Schema document to a schema entry.
+ * @param {string} prop The property name.
+ * @param {object} property The JSON Schema of the property.
+ * @param {boolean} required Is the property listed by the 'required' keyword?
+ */
+const fromJsonProperty = (prop, property, required) => {
+    const types = [].concat(property.type === undefined ? [] : property.type);
+    const values = property.enum instanceof Array ? property.enum : undefined;
+    const nullable = types.indexOf("null") > -1 || (!!values && values.indexOf(null) > -1);
+    const [type, ...others] = types.filter(t => t !== "null");
+
+    if (others.length > 0)
+        throw new SchemaError(`Unsupported type for property "${prop}": ${types.join(", ")}. ` +
+            `Only one type besides "null" is supported.`, prop);
+
+    const entry = { prop };
+    const format = type === "string" ? JSON_FORMATS[property.format] : undefined;
+
+    if (type !== undefined) entry.type = format || type;
+    // null is a valid value of the nullable properties
+    if (required && !nullable) entry.required = true;
+    if (nullable) entry.nullable = true;
+    if (property.default !== undefined) entry.default = property.default;
+    if (values) entry.enum = values.filter(value => value !== null);
+
+    const min = type === "string" ? property.minLength : property.minimum;
+    const max = type === "string" ? property.maxLength : property.maximum;
+    if (min !== undefined) entry.min = min;
+    if (max !== undefined) entry.max = max;
+    if (property.pattern !== undefined) entry.pattern = property.pattern;
+
+    return entry;
+};
+
+/**
+ * Is a schema a JSON Schema document describing the records?
+ * @param {object} schema The schema.
+ */
+const isJsonSchema = schema => schema.type === "object" && isObject(schema.properties);
+
+/**
+ * Convert a JSON Schema document describing the records to a schema. The
+ * column of each property is its 'title', if any, or the property name.
+ * @param {{properties: object, required?: string[]}} document The JSON Schema document.
+ */
+const fromJsonSchema = document => {
+    const required = document.required instanceof Array ? document.required : [];
+    const schema = {};
+
+    for (const prop in document.properties) {
+        const property = document.properties[prop];
+        if (!isObject(property))
+            throw new SchemaError(`Invalid JSON Schema of property "${prop}": an object is expected.`, prop);
+
+        const column = typeof property.title === "string" && property.title ? property.title : prop;
+        schema[column] = fromJsonProperty(prop, property, required.indexOf(prop) > -1);
+    }
+
+    return schema;
+};
+
+/**
+ * Load a schema from a module (.js) or a JSON file (.json).
+ * @param {string} filename The name of the schema file, relative to the current directory.
+ */
+const loadSchema = filename => {
+    const resolved = path.resolve(filename);
+    try {
+        return path.extname(resolved).toLowerCase() === ".json" ?
+            JSON.parse(fs.readFileSync(resolved, "utf8")) :
+            require(resolved);
+    } catch (error) {
+        throw new SchemaError(`Cannot load the schema "${filename}": ${error.message}`);
+    }
+};
+
+/**
+ * Normalize a schema: load it if it is a file name, convert it if it is a JSON
+ * Schema document, and resolve the type names of its entries. The entries
+ * without a 'prop' use the column name as property name.
+ * @param {object|string} schema The schema, a JSON Schema document, or the name
+ * of a file that contains one of them.
+ * @returns {object} The schema, with a type function (if any) and a property name per entry.
+ */
+const normalizeSchema = schema => {
+    const source = typeof schema === "string" ? loadSchema(schema) : schema;
+
+    if (!isObject(source))
+        throw new SchemaError("The schema must be an object, a JSON Schema document or the name of a schema file.");
+
+    const entries = isJsonSchema(source) ? fromJsonSchema(source) : source;
+    const normalized = {};
+
+    for (const column in entries) {
+        const entry = entries[column];
+        if (!isObject(entry))
+            throw new SchemaError(`Invalid schema entry for column "${column}": an object is expected.`, column);
+
+        const prop = entry.prop === undefined ? column : entry.prop;
+        if (!parsePropPath(prop))
+            throw new SchemaError(`Invalid property path "${prop}" for column "${column}".`, column);
+
+        normalized[column] = Object.assign({}, entry, {
+            prop,
+            type: resolveType(entry.type, column)
+        });
+    }
+
+    return normalized;
+};
+
+module.exports.Integer = Integer;
+module.exports.isEmpty = isEmpty;
+module.exports.normalizeColumnName = normalizeColumnName;
+module.exports.resolveColumns = resolveColumns;
+module.exports.castValue = castValue;
+module.exports.mapValue = mapValue;
+module.exports.validateValue = validateValue;
+module.exports.resolveType = resolveType;
+module.exports.fromJsonSchema = fromJsonSchema;
+module.exports.loadSchema = loadSchema;
+module.exports.normalizeSchema = normalizeSchema;
@@ -0,0 +1,140 @@
+/**
+ * The placeholder replaced with the sheet name in templated output paths.
+ */
+const SHEET_PLACEHOLDER = "{sheet}";
+
+/**
+ * The visibility states of a sheet, indexed by the 'Hidden' value of the
+ * workbook's metadata: 0 (visible), 1 (hidden) or 2 (very hidden).
+ */
+const SHEET_STATES = ["visible", "hidden", "veryHidden"];
+
+/**
+ * Convert the 'state' attribute of a sheet to its 'Hidden' value.
+ * @param {string} state "visible" (default), "hidden" or "veryHidden".
+ * @returns {number} 0 (visible), 1 (hidden) or 2 (very hidden).
+ */
+const sheetHidden = state => Math.max(SHEET_STATES.indexOf(state), 0);
+
+/**
+ * Convert the 'Hidden' value of a sheet to its visibility state.
+ * @param {number} hidden 0 (visible), 1 (hidden) or 2 (very hidden).
+ * @returns {"visible"|"hidden"|"veryHidden"}
+ */
+const sheetVisibility = hidden => SHEET_STATES[hidden] || SHEET_STATES[0];
+
+/**
+ * Should a sheet be left out because it is hidden? Very hidden sheets
+ * (only visible to macros) are skipped along with the hidden ones.
+ * @param {{hidden: number}} sheet The sheet.
+ * @param {{skipHiddenSheets?: boolean, skipVeryHiddenSheets?: boolean}} options
+ * Optional: Set 'skipHiddenSheets' to skip the hidden and very hidden sheets,
+ * or 'skipVeryHiddenSheets' to only skip the very hidden ones.
+ */
+const isSkipped = (sheet, options) => {
+    const {
+        skipHiddenSheets,
+        skipVeryHiddenSheets
+    } = options || {};
+    if (sheet.hidden === 1) return !!skipHiddenSheets;
+    if (sheet.hidden === 2) return !!(skipHiddenSheets || skipVeryHiddenSheets);
+    return false;
+};
+
+/**
+ * Return the position of a sheet in the workbook, or -1 if there is no such sheet.
+ * @param {{name: string, hidden: number}[]} sheets The sheets of the workbook.
+ * @param {string|number} sheetnameOrIndex The name or zero-based index of the sheet.
+ * If undefined, the first sheet that is not skipped.
+ * @param {{skipHiddenSheets?: boolean, skipVeryHiddenSheets?: boolean}} options
+ * Optional: Which hidden sheets to skip (see isSkipped).
+ */
+const findSheet = (sheets, sheetnameOrIndex, options) => {
+    if (typeof sheetnameOrIndex === "string")
+        return sheets.findIndex(sheet => sheet.name === sheetnameOrIndex);
+    if (typeof sheetnameOrIndex === "number")
+        return Number.isInteger(sheetnameOrIndex) && sheetnameOrIndex >= 0 &&
+            sheetnameOrIndex < sheets.length ? sheetnameOrIndex : -1;
+    return sheets.findIndex(sheet => !isSkipped(sheet, options));
+};
+
+/**
+ * Create the error reported when a sheet cannot be found.
+ * @param {string|number} sheetnameOrIndex The name or index of the sheet.
+ * @param {{name: string}[]} sheets The sheets of the workbook.
+ */
+const sheetNotFound = (sheetnameOrIndex, sheets) => {
+    const subject = typeof sheetnameOrIndex === "string" || typeof sheetnameOrIndex === "number" ?
+        `Worksheet not found: ${typeof sheetnameOrIndex === "number" ? "#" : ""}${sheetnameOrIndex}` :
+        "No worksheet to read";
+    const available = sheets.map(sheet => sheet.name).join(", ") || "none";
+    return new Error(`${subject}. Available sheets: ${available}.`);
+};
+
+/**
+ * Does a sheet selection refer to several sheets? A selection is "*" (all
+ * sheets), an array of sheet names or indices, a regular expression or a predicate.
+ * @param {any} sheetname The 'sheetname' option.
+ */
+const isSheetSelection = sheetname => sheetname === "*" || sheetname instanceof Array ||
+    sheetname instanceof RegExp || typeof sheetname === "function";
+
+/**
+ * Return the names of the sheets matching a selection, in workbook order
+ * or, for arrays, in selection order. Hidden sheets are left out as
+ * specified by the options, unless they are named in an array.
+ * @param {{name: string, hidden: number}[]} sheets The sheets of the workbook.
+ * @param {"*"|(string|number)[]|RegExp|((name: string, index: number, sheet: object) => boolean)} selection
+ * The sheet selection.
+ * @param {{skipHiddenSheets?: boolean, skipVeryHiddenSheets?: boolean}} options
+ * Optional: Which hidden sheets to skip (see isSkipped).
+ * @returns {string[]} The selected sheet names.
+ */
+const selectSheets = (sheets, selection, options) => {
+    if (selection instanceof Array) {
+        return selection.map(sheetnameOrIndex => {
+            const index = findSheet(sheets, sheetnameOrIndex);
+            if (index === -1) throw sheetNotFound(sheetnameOrIndex, sheets);
+            return sheets[index].name;
+        });
+    }
+
+    let selected = sheets.filter(sheet => !isSkipped(sheet, options));
+
+    if (selection instanceof RegExp) {
+        selected = selected.filter(sheet => {
+            // global expressions are stateful
+            selection.lastIndex = 0;
+            return selection.test(sheet.name);
+        });
+    } else if (typeof selection === "function") {
+        selected = selected.filter(sheet => !!selection(sheet.name, sheets.indexOf(sheet), sheet));
+    }
+
+    return selected.map(sheet => sheet.name);
+};
+
+/**
+ * Does an output path contain the sheet placeholder?
+ * @param {any} output The 'output' option.
+ */
+const hasSheetPlaceholder = output =>
+    typeof output === "string" && output.indexOf(SHEET_PLACEHOLDER) > -1;
+
+/**
+ * Replace the sheet placeholder of an output path with a sheet name.
+ * @param {string} template The output path, such as "out/{sheet}.json".
+ * @param {string} sheetname The sheet name.
+ */
+const sheetOutputPath = (template, sheetname) => template.split(SHEET_PLACEHOLDER).join(sheetname);
+
+module.exports.SHEET_PLACEHOLDER = SHEET_PLACEHOLDER;
+module.exports.sheetHidden = sheetHidden;
+module.exports.sheetVisibility = sheetVisibility;
+module.exports.isSkipped = isSkipped;
+module.exports.findSheet = findSheet;
+module.exports.sheetNotFound = sheetNotFound;
+module.exports.isSheetSelection = isSheetSelection;
+module.exports.selectSheets = selectSheets;
+module.exports.hasSheetPlaceholder = hasSheetPlaceholder;
+module.exports.sheetOutputPath = sheetOutputPath;
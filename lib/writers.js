@@ -0,0 +1,137 @@
+const { formatLine } = require("./csv");
+const { getProp } = require("./props");
+
+/**
+ * Writes records to a stream as a JSON array.
+ */
+class JsonWriter {
+  /**
+   * Initialize a new instance of the JsonWriter class.
+   * @param {WriteStream} stream The stream to write to.
+   */
+  constructor(stream) {
+    this.stream = stream;
+    this._hasRecord = false;
+  }
+
+  /**
+   * Called once, before the first record is written.
+   * @param {string[]} header The names of the record properties, or their paths
+   * (such as "address.city") when the schema maps columns to nested properties.
+   */
+  begin(header) {
+    this.stream.write("[");
+  }
+
+  /**
+   * Called instead of 'begin' to continue an output written up to a checkpoint.
+   * @param {string[]} header The names of the record properties.
+   * @param {number} count The number of records already written.
+   */
+  resume(header, count) {
+    this._hasRecord = count > 0;
+  }
+
+  /**
+   * Called for each record.
+   * @param {object} record The record to write.
+   */
+  write(record) {
+    if (this._hasRecord) this.stream.write(",");
+    else this._hasRecord = true;
+
+    this.stream.write(JSON.stringify(record));
+  }
+
+  /** Called once, after the last record has been written. */
+  end() {
+    this.stream.write("]");
+  }
+}
+
+/**
+ * Writes records to a stream as newline-delimited JSON.
+ */
+class NdjsonWriter {
+  /**
+   * Initialize a new instance of the NdjsonWriter class.
+   * @param {WriteStream} stream The stream to write to.
+   * @param {{lineEnding?: string}} options The processing options.
+   */
+  constructor(stream, options) {
+    this.stream = stream;
+    this.lineEnding = _option(options, "lineEnding", "\n");
+  }
+
+  begin(header) {}
+
+  resume(header, count) {}
+
+  write(record) {
+    this.stream.write(JSON.stringify(record) + this.lineEnding);
+  }
+
+  end() {}
+}
+
+/**
+ * Writes records to a stream as delimited lines (CSV, TSV), preceded by a
+ * header line.
+ */
+class DelimitedWriter {
+  /**
+   * Initialize a new instance of the DelimitedWriter class.
+   * @param {WriteStream} stream The stream to write to.
+   * @param {{delimiter?: string, lineEnding?: string}} options The processing options.
+   * @param {string} delimiter The default field delimiter.
+   * @param {string} lineEnding The default line ending.
+   */
+  constructor(stream, options, delimiter, lineEnding) {
+    this.stream = stream;
+    this.delimiter = _option(options, "delimiter", delimiter || ",");
+    this.lineEnding = _option(options, "lineEnding", lineEnding || "\r\n");
+    this._fields = [];
+  }
+
+  begin(header) {
+    this._fields = header || [];
+    this._writeLine(this._fields);
+  }
+
+  resume(header, count) {
+    // the header line has already been written
+    this._fields = header || [];
+  }
+
+  write(record) {
+    this._writeLine(this._fields.map(field => getProp(record, field)));
+  }
+
+  end() {}
+
+  _writeLine(values) {
+    this.stream.write(formatLine(values, this.delimiter) + this.lineEnding);
+  }
+}
+
+const _option = (options, name, defaultValue) => {
+  const value = options && options[name];
+  return value === undefined || value === null ? defaultValue : value;
+};
+
+/**
+ * The built-in writer factories, keyed by format name.
+ */
+const BUILTIN_FORMATS = {
+  json: stream => new JsonWriter(stream),
+  ndjson: (stream, options) => new NdjsonWriter(stream, options),
+  csv: (stream, options) => new DelimitedWriter(stream, options, ",", "\r\n"),
+  tsv: (stream, options) => new DelimitedWriter(stream, options, "\t", "\n")
+};
+
+module.exports = {
+  JsonWriter,
+  NdjsonWriter,
+  DelimitedWriter,
+  BUILTIN_FORMATS
+};
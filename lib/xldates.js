@@ -1,38 +1,192 @@
+const { SSF } = require("xlsx");
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Schema type for values that hold both a date and a time.
+ */
+class DateTime {}
+
+/**
+ * Schema type for time-of-day values, converted to "HH:MM:SS" strings.
+ */
+class Time {}
+
+const formatters = {};
+
+/**
+ * Return the offset (in milliseconds) of a time zone at the specified instant.
+ * @param {string} timeZone "UTC" (or undefined), "local", or an IANA time zone name.
+ * @param {number} time The instant, in milliseconds since the Unix epoch.
+ */
+const timeZoneOffset = (timeZone, time) => {
+    if (!timeZone || timeZone === "UTC") return 0;
+    if (timeZone === "local") return -new Date(time).getTimezoneOffset() * 60 * 1000;
+
+    let formatter = formatters[timeZone];
+    if (!formatter) {
+        formatter = formatters[timeZone] = new Intl.DateTimeFormat("en-US", {
+            timeZone,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "numeric",
+            day: "numeric",
+            hour: "numeric",
+            minute: "numeric",
+            second: "numeric"
+        });
+    }
+
+    const parts = {};
+    formatter.formatToParts(new Date(time)).forEach(p => parts[p.type] = parseInt(p.value));
+
+    const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+    return wall - (time - ((time % 1000) + 1000) % 1000);
+};
+
+/**
+ * Convert a wall-clock time in the specified time zone to an instance of Date.
+ * @param {number} wallTime The wall-clock time, in milliseconds since the Unix epoch
+ * as if the time zone were UTC.
+ * @param {string} timeZone "UTC" (or undefined), "local", or an IANA time zone name.
+ */
+const fromWallTime = (wallTime, timeZone) => {
+    const offset = timeZoneOffset(timeZone, wallTime);
+    const time = wallTime - offset;
+    // the offset may differ on the other side of a daylight saving transition
+    const adjusted = timeZoneOffset(timeZone, time);
+    return new Date(adjusted === offset ? time : wallTime - adjusted);
+};
+
+/**
+ * Return the wall-clock time of a date in the specified time zone.
+ * @param {Date} date The date.
+ * @param {string} timeZone "UTC" (or undefined), "local", or an IANA time zone name.
+ */
+const toWallTime = (date, timeZone) => date.getTime() + timeZoneOffset(timeZone, date.getTime());
+
 /**
  * Convert an Excel serial number to an instance of Date.
- * @param {number} serialDate The Excel serial number to convert.
+ * @param {number} serialDate The Excel serial number to convert. The integral part
+ * is the date and the fractional part is the time.
  * @param {boolean} epoch1904 true to add 1462 extra days; otherwise, false.
+ * @param {string} timeZone Optional: The time zone of the serial number:
+ * "UTC" (default), "local", or an IANA time zone name such as "Europe/Paris".
  */
-const parseDate = (serialDate, epoch1904) => {
+const parseDate = (serialDate, epoch1904, timeZone) => {
     if (epoch1904) serialDate += 1462;
     const daysBeforeUnixEpoch = 70 * 365 + 19;
-    const hour = 60 * 60 * 1000;
-    return new Date(Math.round((serialDate - daysBeforeUnixEpoch) * 24 * hour) + 12 * hour);
+    return fromWallTime(Math.round((serialDate - daysBeforeUnixEpoch) * MS_PER_DAY), timeZone);
+};
+
+const NUMERIC = /^\s*-?\d+(\.\d+)?\s*$/;
+const ISO_LOCAL = /^\s*(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?\s*$/;
+
+/**
+ * Parse a date string. ISO 8601 strings without offset are read as
+ * wall-clock times in the specified time zone.
+ * @param {string} value The string to parse.
+ * @param {string} timeZone "UTC" (or undefined), "local", or an IANA time zone name.
+ */
+const parseDateString = (value, timeZone) => {
+    const m = ISO_LOCAL.exec(value);
+    if (m) {
+        const [, y, mo, d, h = 0, mi = 0, s = 0, ms = "0"] = m;
+        const wall = Date.UTC(+y, +mo - 1, +d, +h, +mi, +s, +ms.padEnd(3, "0"));
+        return fromWallTime(wall, timeZone);
+    }
+    return new Date(Date.parse(value));
 };
 
 /**
  * Attempt to convert the specified value to an instance of Date.
  * If the attempt fails, the value is returned as is.
- * @param {number|string} value The value to convert.
+ * @param {number|string|Date} value The value to convert. Numbers and numeric
+ * strings are Excel serial numbers; other strings are parsed as dates.
  * @param {boolean} epoch1904 true to add 1462 extra days; otherwise, false.
+ * @param {string} timeZone Optional: "UTC" (default), "local", or an IANA time zone name.
  */
-const tryConvertDate = (value, epoch1904) => {
+const tryConvertDate = (value, epoch1904, timeZone) => {
     try {
-        if (typeof value === "number") {
-            return parseDate(value, epoch1904);
+        if (value instanceof Date) {
+            return value;
+        } else if (typeof value === "number") {
+            return parseDate(value, epoch1904, timeZone);
         } else if (typeof value === "string") {
-            let converted = parseInt(value);
-            if (isNaN(converted)) {
-                return new Date(Date.parse(value));
-            } else
-                return parseDate(converted, epoch1904);
+            if (NUMERIC.test(value))
+                return parseDate(parseFloat(value), epoch1904, timeZone);
+            return parseDateString(value, timeZone);
         } else {
-            return parseDate(parseInt(value.toString()), epoch1904);
+            return parseDate(parseFloat(value.toString()), epoch1904, timeZone);
         }
     } catch {
         return value;
     }
 };
 
+/**
+ * Attempt to convert the specified value to an instance of Date at midnight
+ * (in the specified time zone). If the attempt fails, the value is returned as is.
+ * @param {number|string|Date} value The value to convert.
+ * @param {boolean} epoch1904 true to add 1462 extra days; otherwise, false.
+ * @param {string} timeZone Optional: "UTC" (default), "local", or an IANA time zone name.
+ */
+const tryConvertDateOnly = (value, epoch1904, timeZone) => {
+    const date = tryConvertDate(value, epoch1904, timeZone);
+    if (!(date instanceof Date) || isNaN(date)) return date;
+
+    const wall = toWallTime(date, timeZone);
+    return fromWallTime(wall - (((wall % MS_PER_DAY) + MS_PER_DAY) % MS_PER_DAY), timeZone);
+};
+
+const TIME = /^\s*(\d{1,2}):(\d{2})(?::(\d{2}))?\s*$/;
+
+/**
+ * Attempt to convert the specified value to a time of day ("HH:MM:SS").
+ * If the attempt fails, the value is returned as is.
+ * @param {number|string|Date} value The value to convert. Numbers are Excel
+ * serial numbers, of which only the fractional part is used.
+ * @param {string} timeZone Optional: The time zone of Date values.
+ */
+const tryConvertTime = (value, timeZone) => {
+    let seconds;
+
+    if (typeof value === "number" || (typeof value === "string" && NUMERIC.test(value))) {
+        const serial = parseFloat(value);
+        seconds = Math.round((serial - Math.floor(serial)) * 24 * 60 * 60) % (24 * 60 * 60);
+    } else if (typeof value === "string" && TIME.test(value)) {
+        const [, h, m, s = 0] = TIME.exec(value);
+        if (+h > 23 || +m > 59 || +s > 59) return value;
+        seconds = +h * 3600 + +m * 60 + +s;
+    } else {
+        const date = tryConvertDate(value, false, timeZone);
+        if (!(date instanceof Date) || isNaN(date)) return value;
+        const wall = toWallTime(date, timeZone);
+        seconds = Math.round((((wall % MS_PER_DAY) + MS_PER_DAY) % MS_PER_DAY) / 1000) % (24 * 60 * 60);
+    }
+
+    const pad = n => String(n).padStart(2, "0");
+    return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+};
+
+/**
+ * Is the specified number format a date or time format?
+ * @param {string|number} format The number format, or the index of a built-in format.
+ */
+const isDateFormat = format => {
+    if (typeof format === "number") format = SSF._table[format];
+    if (typeof format !== "string" || !format) return false;
+    try {
+        return SSF.is_date(format);
+    } catch {
+        return false;
+    }
+};
+
+module.exports.DateTime = DateTime;
+module.exports.Time = Time;
 module.exports.parseDate = parseDate;
-module.exports.tryConvertDate = tryConvertDate;
\ No newline at end of file
+module.exports.tryConvertDate = tryConvertDate;
+module.exports.tryConvertDateOnly = tryConvertDateOnly;
+module.exports.tryConvertTime = tryConvertTime;
+module.exports.isDateFormat = isDateFormat;
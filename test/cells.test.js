@@ -0,0 +1,108 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const FastXlsxReader = require("..");
+const FastXlsxSheetReader = require("../lib/FastXlsxSheetReader");
+const FastXlsxStreamReader = require("../lib/FastXlsxStreamReader");
+const { createWorkbook, collect } = require("./helpers");
+
+const CELLS = [
+  ["Rate", "Sum", "Link", "Day"],
+  [
+    { t: "n", v: 1.5, z: "0.00%" },
+    { t: "n", v: 2, f: "A2+0.5" },
+    { t: "s", v: "Example", l: { Target: "https://example.com", Tooltip: "Example" }, c: [{ a: "bob", t: "Check this" }] },
+    { t: "n", v: 45000, z: "yyyy-mm-dd" }
+  ]
+];
+
+describe("valueMode", () => {
+  for (const streaming of [false, true]) {
+    const mode = streaming ? " (streaming)" : "";
+    const input = createWorkbook({ Cells: CELLS });
+
+    it(`"raw" reads the values of the cells${mode}`, async () => {
+      const { items } = await FastXlsxReader.read({ input, streaming, useMemoryForItems: true });
+
+      assert.deepStrictEqual(items, [{ Rate: 1.5, Sum: 2, Link: "Example", Day: 45000 }]);
+    });
+
+    it(`"raw" reads the dates with 'cellDates'${mode}`, async () => {
+      const { items } = await FastXlsxReader.read({ input, streaming, cellDates: true, useMemoryForItems: true });
+
+      assert.deepStrictEqual(items[0].Day, new Date("2023-03-15T00:00:00Z"));
+    });
+
+    it(`"formatted" reads the text of the cells${mode}`, async () => {
+      const records = await collect(new FastXlsxReader({ input, streaming, valueMode: "formatted" }));
+
+      assert.deepStrictEqual(records, [{ Rate: "150.00%", Sum: "2", Link: "Example", Day: "2023-03-15" }]);
+    });
+
+    it(`"cell" reads the cell objects${mode}`, async () => {
+      const { items: [{ Rate, Sum, Link }] } = await FastXlsxReader.read({
+        input,
+        streaming,
+        valueMode: "cell",
+        useMemoryForItems: true
+      });
+
+      assert.deepStrictEqual([Rate.t, Rate.v, Rate.w], ["n", 1.5, "150.00%"]);
+      assert.deepStrictEqual([Sum.v, Sum.f], [2, "A2+0.5"]);
+      assert.deepStrictEqual([Link.t, Link.v], ["s", "Example"]);
+    });
+  }
+
+  it("is the same for both sheet readers", async () => {
+    const input = createWorkbook({ Cells: CELLS });
+
+    for (const valueMode of ["raw", "formatted"]) {
+      const sheetReader = new FastXlsxSheetReader(input, 0, null, { valueMode });
+      const streamReader = new FastXlsxStreamReader(input, 0, null, { valueMode });
+      const sync = [sheetReader.readNext(), sheetReader.readNext()];
+      const streamed = [await streamReader.readNext(), await streamReader.readNext()];
+      streamReader.destroy();
+
+      assert.deepStrictEqual(streamed, sync);
+    }
+  });
+
+  it("fails when unknown", () => {
+    assert.throws(() => new FastXlsxSheetReader(createWorkbook({ Cells: CELLS }), 0, null, { valueMode: "html" }),
+      /^Error: Unknown value mode: html/);
+  });
+});
+
+describe("cell accessors", () => {
+  const reader = new FastXlsxSheetReader(createWorkbook({ Cells: CELLS }), 0, null, {});
+
+  it("read the formatted text", () => {
+    assert.strictEqual(reader.readCellText(0, 1), "150.00%");
+    assert.strictEqual(reader.readCellText(3, 1), "2023-03-15");
+  });
+
+  it("read the formula", () => {
+    assert.strictEqual(reader.readCellFormula(1, 1), "A2+0.5");
+    assert.strictEqual(reader.readCellFormula(0, 1), undefined);
+  });
+
+  it("read the hyperlink", () => {
+    assert.deepStrictEqual(reader.readCellHyperlink(2, 1), { target: "https://example.com", tooltip: "Example" });
+    assert.strictEqual(reader.readCellHyperlink(0, 1), undefined);
+  });
+
+  it("read the comments", () => {
+    assert.deepStrictEqual(reader.readCellComment(2, 1), [{ author: "bob", text: "Check this" }]);
+    assert.strictEqual(reader.readCellComment(0, 1), undefined);
+  });
+
+  it("read the date", () => {
+    assert.deepStrictEqual(reader.readCellAsDate(3, 1), new Date("2023-03-15T00:00:00Z"));
+  });
+
+  it("return undefined for the empty cells", () => {
+    assert.strictEqual(reader.readCellText(5, 5), undefined);
+    assert.strictEqual(reader.readCellFormula(5, 5), undefined);
+    assert.strictEqual(reader.readCellHyperlink(5, 5), undefined);
+    assert.strictEqual(reader.readCellComment(5, 5), undefined);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { createWorkbook, tempDir, PEOPLE } = require("./helpers");
+
+const BIN = path.join(__dirname, "..", "bin", "fast-xlsx-reader.js");
+
+/**
+ * Run the command line with the specified arguments.
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+const run = (...args) => spawnSync(process.execPath, [BIN, ...args], { encoding: "utf8", timeout: 30000 });
+
+/**
+ * Write a workbook to a temporary file.
+ * @returns {string} The path of the file.
+ */
+const writeWorkbook = (t, sheets) => {
+  const file = path.join(tempDir(t), "book.xlsx");
+  fs.writeFileSync(file, createWorkbook(sheets));
+  return file;
+};
+
+describe("command line", () => {
+  it("convert a sheet to JSON on the standard output", t => {
+    const { status, stdout } = run("convert", writeWorkbook(t, { People: PEOPLE }));
+
+    assert.strictEqual(status, 0);
+    assert.ok(stdout.endsWith("]\n"));
+    assert.deepStrictEqual(JSON.parse(stdout)[0], { Id: 1, Name: "Ann", Age: 34, Active: true });
+  });
+
+  it("convert a sheet to CSV", t => {
+    const { status, stdout } = run("convert", writeWorkbook(t, { People: PEOPLE }), "--format", "csv", "--max-rows", "1");
+
+    assert.strictEqual(status, 0);
+    assert.strictEqual(stdout, "Id,Name,Age,Active\r\n1,Ann,34,true\r\n");
+  });
+
+  it("reject invalid options", t => {
+    const file = writeWorkbook(t, { People: PEOPLE });
+
+    assert.strictEqual(run("convert", file, "--invalid-rows", "bogus").status, 2);
+    assert.strictEqual(run("convert", file, "--max-rows", "-1").status, 2);
+    assert.strictEqual(run("convert", file, "--bogus").status, 2);
+    assert.strictEqual(run("bogus", file).status, 2);
+  });
+
+  it("fail on a missing sheet", t => {
+    const { status, stdout, stderr } = run("convert", writeWorkbook(t, { People: PEOPLE }), "--sheet", "Nope");
+
+    assert.strictEqual(status, 1);
+    assert.strictEqual(stdout, "");
+    assert.match(stderr, /^ReadError: /);
+  });
+
+  it("print the first rows of the used range", t => {
+    const file = writeWorkbook(t, { Data: { rows: [["a", "b"], [1, 2], [3, 4]], origin: "A4" } });
+    const { status, stdout } = run("head", file, "-n", "2");
+
+    assert.strictEqual(status, 0);
+    assert.strictEqual(stdout, '["a","b"]\n[1,2]\n');
+  });
+
+  it("inspect a workbook", t => {
+    const file = writeWorkbook(t, { Report: { rows: [["Report"], [], ["Revenue", "Cost"], [10, 4]], ref: "A1:H30" } });
+    const { status, stdout } = run("inspect", file, "--json");
+
+    assert.strictEqual(status, 0);
+    assert.strictEqual(JSON.parse(stdout).sheets[0].headerRow, 3);
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const FastXlsxReader = require("..");
+const FastXlsxSheetReader = require("../lib/FastXlsxSheetReader");
+const FastXlsxStreamReader = require("../lib/FastXlsxStreamReader");
+const { createWorkbook } = require("./helpers");
+
+// the header is on row 3; the column "C" is column D
+const ROWS = [
+  ["Title"],
+  [],
+  ["Id", "Name", "Age", "C", "E", "F"],
+  [1, "Ann", 34, "c1", "e1", "f1"],
+  [2, "Bob", 27, "c2", "e2", "f2"],
+  [3, "Cy", 40, "c3", "e3", "f3"]
+];
+
+/**
+ * Read the records of the sheet with and without streaming.
+ * @returns {Promise<[object[], object[]]>} The records of both reads.
+ */
+const readBoth = options => Promise.all([false, true].map(async streaming => {
+  const { items } = await FastXlsxReader.read(Object.assign({
+    input: createWorkbook({ Data: ROWS }),
+    streaming,
+    useMemoryForItems: true
+  }, options));
+  return items;
+}));
+
+describe("selecting columns and ranges", () => {
+  it("reads the range, whose first row is the header", async () => {
+    const [sync, streamed] = await readBoth({ range: "A3:F5" });
+
+    assert.deepStrictEqual(sync.map(record => record.Id), [1, 2]);
+    assert.deepStrictEqual(Object.keys(sync[0]), ["Id", "Name", "Age", "C", "E", "F"]);
+    assert.deepStrictEqual(streamed, sync);
+  });
+
+  it("reads the columns of the range", async () => {
+    const [sync, streamed] = await readBoth({ range: "B3:C6" });
+
+    assert.deepStrictEqual(sync, [{ Name: "Ann", Age: 34 }, { Name: "Bob", Age: 27 }, { Name: "Cy", Age: 40 }]);
+    assert.deepStrictEqual(streamed, sync);
+  });
+
+  it("stops after 'maxRows' data rows", async () => {
+    const [sync, streamed] = await readBoth({ headerRow: 3, maxRows: 2 });
+
+    assert.deepStrictEqual(sync.map(record => record.Id), [1, 2]);
+    assert.deepStrictEqual(streamed, sync);
+  });
+
+  it("selects the columns by header name before letter, and by index", async () => {
+    const [sync, streamed] = await readBoth({ range: "A3:F6", columns: ["Name", "C", 0] });
+
+    assert.deepStrictEqual(sync[0], { Name: "Ann", C: "c1", Id: 1 });
+    assert.deepStrictEqual(Object.keys(sync[0]), ["Name", "C", "Id"]);
+    assert.deepStrictEqual(streamed, sync);
+  });
+
+  it("selects the columns by range of letters", async () => {
+    const [sync, streamed] = await readBoth({ range: "A3:F6", columns: ["E:F"], maxRows: 1 });
+
+    assert.deepStrictEqual(sync, [{ E: "e1", F: "f1" }]);
+    assert.deepStrictEqual(streamed, sync);
+  });
+
+  it("matches the column names with 'headerMatching'", async () => {
+    const [sync, streamed] = await readBoth({ range: "A3:F6", columns: ["name"], headerMatching: true });
+
+    assert.deepStrictEqual(sync, [{ Name: "Ann" }, { Name: "Bob" }, { Name: "Cy" }]);
+    assert.deepStrictEqual(streamed, sync);
+  });
+
+  it("fails with a SchemaError when a column is not found", async () => {
+    for (const streaming of [false, true]) {
+      await assert.rejects(FastXlsxReader.read({
+        input: createWorkbook({ Data: ROWS }),
+        range: "A3:F6",
+        columns: ["Nope"],
+        streaming
+      }), { name: "SchemaError", message: "Column not found: Nope" });
+    }
+  });
+
+  it("is the same for both sheet readers", async () => {
+    const input = createWorkbook({ Data: ROWS });
+    const options = { range: "B3:D5", columns: ["C", 1] };
+    const sheetReader = new FastXlsxSheetReader(input, 0, null, options);
+    const streamReader = new FastXlsxStreamReader(input, 0, null, options);
+    const sync = [];
+    const streamed = [];
+    let row;
+
+    while ((row = sheetReader.readNext()) !== null) sync.push(row);
+    while ((row = await streamReader.readNext()) !== null) streamed.push(row);
+    streamReader.destroy();
+
+    assert.deepStrictEqual(sync, [["Age", "Name"], [34, "Ann"], [27, "Bob"]]);
+    assert.deepStrictEqual(streamed, sync);
+    assert.strictEqual(sheetReader.readCell(2, 3).v, 34);
+    assert.strictEqual(sheetReader.readCell(3, 3), undefined);
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const FastXlsxReader = require("..");
+const { DateTime, Time } = FastXlsxReader;
+const { createWorkbook } = require("./helpers");
+
+const SCHEMA = {
+  Day: { prop: "day", type: Date },
+  At: { prop: "at", type: DateTime },
+  Time: { prop: "time", type: Time }
+};
+
+/**
+ * Read the records of a workbook with and without streaming.
+ * @returns {Promise<[object, object]>} The results of both reads.
+ */
+const readBoth = (input, options) => Promise.all([false, true].map(streaming =>
+  FastXlsxReader.read(Object.assign({ input, streaming, useMemoryForItems: true }, options))));
+
+describe("dates", () => {
+  it("are converted from serial numbers", async () => {
+    const input = createWorkbook({ Dates: [["Day", "At", "Time"], [45000.75, 45000.75, 45000.75]] });
+    const [sync, streamed] = await readBoth(input, { schema: SCHEMA });
+
+    assert.deepStrictEqual(sync.items, [{
+      day: new Date("2023-03-15T00:00:00Z"),
+      at: new Date("2023-03-15T18:00:00Z"),
+      time: "18:00:00"
+    }]);
+    assert.deepStrictEqual(streamed, sync);
+  });
+
+  it("use the 1904 date system of the workbook", async () => {
+    const rows = [["Day", "At", "Time"], [0, 45000.75, 0.5]];
+    const [sync, streamed] = await readBoth(createWorkbook({ Dates: rows }, { date1904: true }), { schema: SCHEMA });
+
+    assert.deepStrictEqual(sync.items, [{
+      day: new Date("1904-01-01T00:00:00Z"),
+      at: new Date("2027-03-16T18:00:00Z"),
+      time: "12:00:00"
+    }]);
+    assert.deepStrictEqual(streamed, sync);
+  });
+
+  it("are converted from strings", async () => {
+    const input = createWorkbook({ Dates: [["Day", "At", "Time"], ["2024-05-06 13:14", "2024-05-06T13:14:15", "9:05"]] });
+    const [sync, streamed] = await readBoth(input, { schema: SCHEMA });
+
+    assert.deepStrictEqual(sync.items, [{
+      day: new Date("2024-05-06T00:00:00Z"),
+      at: new Date("2024-05-06T13:14:15Z"),
+      time: "09:05:00"
+    }]);
+    assert.deepStrictEqual(streamed, sync);
+  });
+
+  it("report the values that are not dates or times", async () => {
+    const input = createWorkbook({ Dates: [["Day", "At", "Time"], ["soon", "later", "25:00"]] });
+    const [sync, streamed] = await readBoth(input, { schema: SCHEMA });
+
+    const reasons = result => result.errors.map(error => `${error.column} ${error.reason}`);
+
+    assert.deepStrictEqual(reasons(sync),
+      ["Day is not a valid date", "At is not a valid date", "Time is not a valid time"]);
+    assert.deepStrictEqual(reasons(streamed), reasons(sync));
+  });
+
+  it("are converted by 'cellDates' without a schema", async () => {
+    const input = createWorkbook({ Dates: [["At", "Count"], [new Date("2024-05-06T13:14:15Z"), 3]] });
+    const [sync, streamed] = await readBoth(input, { cellDates: true });
+
+    assert.deepStrictEqual(sync.items, [{ At: new Date("2024-05-06T13:14:15Z"), Count: 3 }]);
+    assert.deepStrictEqual(streamed, sync);
+  });
+});
+
+describe("the 'timeZone' option", () => {
+  const read = (value, timeZone) => readBoth(createWorkbook({ Dates: [["Day", "At", "Time"], [value, value, value]] }),
+    { schema: SCHEMA, timeZone });
+
+  it("reads serial numbers as wall-clock times", async () => {
+    const [sync, streamed] = await read(45000.75, "Europe/Paris");
+
+    assert.deepStrictEqual(sync.items, [{
+      day: new Date("2023-03-14T23:00:00Z"),
+      at: new Date("2023-03-15T17:00:00Z"),
+      time: "18:00:00"
+    }]);
+    assert.deepStrictEqual(streamed, sync);
+  });
+
+  it("reads strings without offset as wall-clock times", async () => {
+    const [sync, streamed] = await read("2024-07-01 12:00", "America/New_York");
+
+    assert.deepStrictEqual(sync.items, [{
+      day: new Date("2024-07-01T04:00:00Z"),
+      at: new Date("2024-07-01T16:00:00Z"),
+      time: "12:00:00"
+    }]);
+    assert.deepStrictEqual(streamed, sync);
+  });
+
+  it("moves the times skipped by daylight saving time forward", async () => {
+    // clocks jump from 02:00 to 03:00 on 31 March 2024 in Paris
+    const [sync] = await read("2024-03-31 02:30", "Europe/Paris");
+
+    assert.deepStrictEqual(sync.items[0].at, new Date("2024-03-31T01:30:00Z"));
+    assert.strictEqual(sync.items[0].time, "03:30:00");
+  });
+
+  it("reads the times repeated by daylight saving time in standard time", async () => {
+    // clocks go back from 03:00 to 02:00 on 27 October 2024 in Paris
+    const [sync] = await read("2024-10-27 02:30", "Europe/Paris");
+
+    assert.deepStrictEqual(sync.items[0].day, new Date("2024-10-26T22:00:00Z"));
+    assert.deepStrictEqual(sync.items[0].at, new Date("2024-10-27T01:30:00Z"));
+    assert.strictEqual(sync.items[0].time, "02:30:00");
+  });
+});
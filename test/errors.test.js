@@ -0,0 +1,50 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const FastXlsxReader = require("..");
+const { createWorkbook, collect, tempDir, PEOPLE } = require("./helpers");
+
+describe("errors", () => {
+  for (const streaming of [false, true]) {
+    const mode = streaming ? " (streaming)" : "";
+    const options = { input: createWorkbook({ People: PEOPLE }), sheetname: "Nope", streaming };
+
+    it(`of a missing sheet are ReadErrors when reading${mode}`, async () => {
+      await assert.rejects(FastXlsxReader.read(options), FastXlsxReader.ReadError);
+    });
+
+    it(`of a missing sheet are ReadErrors when iterating${mode}`, async () => {
+      await assert.rejects(collect(new FastXlsxReader(options)), FastXlsxReader.ReadError);
+    });
+
+    it(`of a missing sheet are ReadErrors when streaming the records${mode}`, async () => {
+      await assert.rejects(collect(new FastXlsxReader(options).toStream()), FastXlsxReader.ReadError);
+    });
+  }
+
+  it("of bad inputs are ReadErrors when iterating", async () => {
+    const reader = new FastXlsxReader({ input: Buffer.from("not a workbook"), streaming: true });
+
+    await assert.rejects(collect(reader), FastXlsxReader.ReadError);
+  });
+
+  it("leave an incomplete output", async t => {
+    const output = path.join(tempDir(t), "people.json");
+    const schema = {
+      Id: { prop: "id", type: Number },
+      Name: { prop: "name", type: String },
+      Age: { prop: "age", type: Number, max: 40 },
+      Active: { prop: "active", type: Boolean }
+    };
+
+    await assert.rejects(FastXlsxReader.read({
+      input: createWorkbook({ People: PEOPLE }),
+      output,
+      schema,
+      invalidRows: "stop"
+    }), FastXlsxReader.ValidationError);
+
+    assert.strictEqual(fs.readFileSync(output, "utf8"), '[{"id":1,"name":"Ann","age":34,"active":true},{"id":2,"name":"Bob","age":27,"active":false}');
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const FastXlsxReader = require("..");
+const { createWorkbook, collect, tempDir } = require("./helpers");
+
+// the second row has no order: it belongs to the first order
+const ORDERS = [
+  ["Order", "Customer", "Item", "Qty"],
+  [1, "Ann", "pen", 2],
+  [null, null, "ink", 1],
+  [2, "Bob", "pad", 5],
+  [2, "Bob", "cup", 1],
+  [1, "Ann", "box", 3]
+];
+
+const SCHEMA = {
+  Order: { prop: "order.id", type: Number },
+  Customer: { prop: "customer", type: String },
+  Item: { prop: "item", type: String },
+  Qty: { prop: "qty", type: Number }
+};
+
+describe("groupBy", () => {
+  for (const streaming of [false, true]) {
+    const mode = streaming ? " (streaming)" : "";
+    const input = createWorkbook({ Orders: ORDERS });
+
+    it(`groups the consecutive records of a key${mode}`, async () => {
+      const result = await FastXlsxReader.read({ input, groupBy: "Order", streaming, useMemoryForItems: true });
+
+      assert.deepStrictEqual(result, {
+        items: [
+          {
+            key: 1,
+            rows: [
+              { Order: 1, Customer: "Ann", Item: "pen", Qty: 2 },
+              { Order: undefined, Customer: undefined, Item: "ink", Qty: 1 }
+            ]
+          },
+          {
+            key: 2,
+            rows: [
+              { Order: 2, Customer: "Bob", Item: "pad", Qty: 5 },
+              { Order: 2, Customer: "Bob", Item: "cup", Qty: 1 }
+            ]
+          },
+          { key: 1, rows: [{ Order: 1, Customer: "Ann", Item: "box", Qty: 3 }] }
+        ],
+        rowsProcessed: 6,
+        errors: []
+      });
+    });
+
+    it(`groups by the path of a schema entry${mode}`, async () => {
+      const { items } = await FastXlsxReader.read({
+        input,
+        schema: SCHEMA,
+        groupBy: "order.id",
+        streaming,
+        useMemoryForItems: true
+      });
+
+      assert.deepStrictEqual(items.map(group => group.key), [1, 2, 1]);
+      assert.deepStrictEqual(items[0].rows.map(record => record.item), ["pen", "ink"]);
+    });
+
+    it(`groups by the key returned by a function${mode}`, async () => {
+      const indices = [];
+      const { items } = await FastXlsxReader.read({
+        input,
+        groupBy: (record, index) => {
+          indices.push(index);
+          return record.Qty > 1 ? "many" : "one";
+        },
+        streaming,
+        useMemoryForItems: true
+      });
+
+      assert.deepStrictEqual(items.map(group => [group.key, group.rows.length]),
+        [["many", 1], ["one", 1], ["many", 1], ["one", 1], ["many", 1]]);
+      assert.deepStrictEqual(indices, [1, 2, 3, 4, 5]);
+    });
+
+    it(`passes the groups to 'onRecord' with the index of their first row${mode}`, async () => {
+      const groups = [];
+
+      await FastXlsxReader.read({
+        input,
+        groupBy: "Order",
+        streaming,
+        onRecord: (group, index) => groups.push([group.key, index])
+      });
+
+      assert.deepStrictEqual(groups, [[1, 1], [2, 3], [1, 5]]);
+    });
+
+    it(`yields the groups when iterating${mode}`, async () => {
+      const groups = await collect(new FastXlsxReader({ input, groupBy: "Order", streaming }));
+
+      assert.deepStrictEqual(groups.map(group => group.rows.length), [2, 2, 1]);
+    });
+  }
+
+  it("writes the groups to the output", async t => {
+    const output = path.join(tempDir(t), "orders.ndjson");
+
+    await FastXlsxReader.read({ input: createWorkbook({ Orders: ORDERS }), output, format: "ndjson", groupBy: "Order" });
+
+    const groups = fs.readFileSync(output, "utf8").trim().split("\n").map(line => JSON.parse(line));
+    assert.deepStrictEqual(groups.map(group => group.key), [1, 2, 1]);
+    assert.deepStrictEqual(groups[0].rows[1], { Item: "ink", Qty: 1 });
+  });
+});
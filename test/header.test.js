@@ -0,0 +1,39 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const FastXlsxReader = require("..");
+const { createWorkbook } = require("./helpers");
+
+describe("header detection", () => {
+  for (const streaming of [false, true]) {
+    it(`find the header below a title${streaming ? " (streaming)" : ""}`, async () => {
+      const input = createWorkbook({
+        Report: [["Quarterly report"], [], ["Region", "Revenue", "Cost"], ["North", 10, 4], ["South", 12, 5]]
+      });
+
+      const { items } = await FastXlsxReader.read({ input, headerRow: "auto", streaming, useMemoryForItems: true });
+
+      assert.deepStrictEqual(items, [
+        { Region: "North", Revenue: 10, Cost: 4 },
+        { Region: "South", Revenue: 12, Cost: 5 }
+      ]);
+    });
+
+    it(`find the header of a sheet that declares a wider range${streaming ? " (streaming)" : ""}`, async () => {
+      const input = createWorkbook({
+        Report: { rows: [["Revenue", "Cost", "Margin", "Tax"], [10, 4, 6, 1]], ref: "A1:H30" }
+      });
+
+      const { items } = await FastXlsxReader.read({
+        input,
+        headerRow: "auto",
+        streaming,
+        skipEmptyRows: true,
+        useMemoryForItems: true
+      });
+
+      const [{ Revenue, Cost, Margin, Tax }] = items;
+      assert.strictEqual(items.length, 1);
+      assert.deepStrictEqual({ Revenue, Cost, Margin, Tax }, { Revenue: 10, Cost: 4, Margin: 6, Tax: 1 });
+    });
+  }
+});
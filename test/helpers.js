@@ -0,0 +1,67 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const xlsx = require("xlsx");
+
+/**
+ * Build a small .xlsx workbook.
+ * @param {{[sheetname: string]: any[][]|{rows: any[][], ref?: string, origin?: string, merges?: string[],
+ * hidden?: 1|2}}} sheets
+ * The rows of each sheet. 'ref' overrides the range the sheet declares (its dimension),
+ * 'origin' is the address of the first cell (defaults to A1), 'merges' lists the
+ * merged ranges ("B1:C1") and 'hidden' hides the sheet (2: very hidden).
+ * @param {{date1904?: boolean}} options Optional: true to use the 1904 date system.
+ * @returns {Buffer} The content of the workbook.
+ */
+const createWorkbook = (sheets, options) => {
+  const workbook = xlsx.utils.book_new();
+  if (options && options.date1904) workbook.Workbook = { WBProps: { date1904: true } };
+
+  for (const name in sheets) {
+    const sheet = sheets[name] instanceof Array ? { rows: sheets[name] } : sheets[name];
+    const worksheet = xlsx.utils.aoa_to_sheet(sheet.rows, { origin: sheet.origin, cellDates: true });
+    if (sheet.ref) worksheet["!ref"] = sheet.ref;
+    if (sheet.merges) worksheet["!merges"] = sheet.merges.map(range => xlsx.utils.decode_range(range));
+    xlsx.utils.book_append_sheet(workbook, worksheet, name);
+    if (sheet.hidden) xlsx.utils.book_set_sheet_visibility(workbook, name, sheet.hidden);
+  }
+
+  return xlsx.write(workbook, { type: "buffer", bookType: "xlsx" });
+};
+
+/**
+ * Create a temporary directory, removed once the tests of the file have run.
+ * @param {object} t The test context.
+ * @returns {string} The path of the directory.
+ */
+const tempDir = t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fast-xlsx-reader-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+/**
+ * Collect the records of an asynchronous iterator.
+ * @param {AsyncIterable<any>} iterable The iterator.
+ */
+const collect = async iterable => {
+  const records = [];
+  for await (const record of iterable) records.push(record);
+  return records;
+};
+
+/**
+ * The rows of a small sheet of people.
+ */
+const PEOPLE = [
+  ["Id", "Name", "Age", "Active"],
+  [1, "Ann", 34, true],
+  [2, "Bob", 27, false],
+  [3, "Carl, Jr.", 45, true],
+  [4, "Dee \"D\"", 52, false]
+];
+
+module.exports.createWorkbook = createWorkbook;
+module.exports.tempDir = tempDir;
+module.exports.collect = collect;
+module.exports.PEOPLE = PEOPLE;
@@ -0,0 +1,101 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+const FastXlsxReader = require("..");
+const FastXlsxSheetReader = require("../lib/FastXlsxSheetReader");
+const FastXlsxStreamReader = require("../lib/FastXlsxStreamReader");
+const { createWorkbook, collect, tempDir, PEOPLE } = require("./helpers");
+
+const WORKBOOK = createWorkbook({ People: PEOPLE });
+
+/**
+ * Copy the workbook into a larger buffer, so that its view doesn't start at offset 0.
+ * @returns {Uint8Array} A view of the workbook.
+ */
+const uint8Array = () => {
+  const bytes = new Uint8Array(WORKBOOK.length + 16);
+  bytes.set(WORKBOOK, 8);
+  return bytes.subarray(8, 8 + WORKBOOK.length);
+};
+
+/**
+ * Copy the workbook into an ArrayBuffer.
+ */
+const arrayBuffer = () => uint8Array().slice().buffer;
+
+/**
+ * Stream the workbook in small chunks.
+ */
+const readable = () => Readable.from((function* () {
+  for (let i = 0; i < WORKBOOK.length; i += 1000) yield WORKBOOK.subarray(i, i + 1000);
+})());
+
+const INPUTS = { Uint8Array: uint8Array, ArrayBuffer: arrayBuffer, Readable: readable };
+
+describe("inputs", () => {
+  for (const streaming of [false, true]) {
+    const mode = streaming ? " (streaming)" : "";
+
+    for (const kind in INPUTS) {
+      it(`can be a ${kind}${mode}`, async () => {
+        const { items } = await FastXlsxReader.read({ input: INPUTS[kind](), streaming, useMemoryForItems: true });
+
+        assert.strictEqual(items.length, 4);
+        assert.deepStrictEqual(items[0], { Id: 1, Name: "Ann", Age: 34, Active: true });
+      });
+    }
+
+    it(`can be a file name${mode}`, async t => {
+      const input = path.join(tempDir(t), "people.xlsx");
+      fs.writeFileSync(input, WORKBOOK);
+
+      const records = await collect(new FastXlsxReader({ input, streaming }));
+
+      assert.strictEqual(records.length, 4);
+    });
+
+    it(`can be a Readable when iterating${mode}`, async () => {
+      const records = await collect(new FastXlsxReader({ input: readable(), streaming }));
+
+      assert.deepStrictEqual(records.map(record => record.Id), [1, 2, 3, 4]);
+    });
+
+    it(`fail with a ReadError when the stream fails${mode}`, async () => {
+      const input = new Readable({ read() { this.destroy(new Error("connection reset")); } });
+
+      await assert.rejects(FastXlsxReader.read({ input, streaming }), {
+        name: "ReadError",
+        message: "connection reset"
+      });
+    });
+
+    it(`fail with a ReadError when unsupported${mode}`, async () => {
+      await assert.rejects(FastXlsxReader.read({ input: 42, streaming }), FastXlsxReader.ReadError);
+    });
+  }
+
+  it("can be binary data for both sheet readers", async () => {
+    for (const input of [uint8Array(), arrayBuffer()]) {
+      const sheetReader = new FastXlsxSheetReader(input, 0, null, {});
+      const streamReader = new FastXlsxStreamReader(input, 0, null, {});
+      const streamed = await streamReader.readNext();
+      streamReader.destroy();
+
+      assert.deepStrictEqual(sheetReader.readNext(), PEOPLE[0]);
+      assert.deepStrictEqual(streamed, PEOPLE[0]);
+    }
+  });
+
+  it("can be a Readable for the streaming sheet reader", async () => {
+    const streamReader = new FastXlsxStreamReader(readable(), 0, null, {});
+    const rows = [];
+    let row;
+
+    while ((row = await streamReader.readNext()) !== null) rows.push(row);
+    streamReader.destroy();
+
+    assert.deepStrictEqual(rows, PEOPLE);
+  });
+});
@@ -0,0 +1,31 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const FastXlsxReader = require("..");
+const { createWorkbook, PEOPLE } = require("./helpers");
+
+describe("inspect", () => {
+  it("describe the sheets of a workbook", async () => {
+    const { sheets } = await FastXlsxReader.inspect(createWorkbook({ People: PEOPLE, Empty: [] }));
+
+    assert.deepStrictEqual(sheets.map(({ name, range, headerRow }) => ({ name, range, headerRow })), [
+      { name: "People", range: "A1:D5", headerRow: 1 },
+      { name: "Empty", range: null, headerRow: null }
+    ]);
+    assert.deepStrictEqual(sheets[0].header, ["Id", "Name", "Age", "Active"]);
+  });
+
+  it("find the header of a sheet that declares a wider range", async () => {
+    const input = createWorkbook({
+      Report: { rows: [["Quarterly report"], [], ["Revenue", "Cost", "Revenue", "Cost"], [10, 4, 6, 1]], ref: "A1:H30" }
+    });
+
+    const [declared] = (await FastXlsxReader.inspect(input)).sheets;
+    const [exact] = (await FastXlsxReader.inspect(input, { exact: true })).sheets;
+
+    assert.strictEqual(declared.range, "A1:H30");
+    assert.strictEqual(declared.headerRow, 3);
+    assert.deepStrictEqual(declared.header, ["Revenue", "Cost", "Revenue", "Cost"]);
+    assert.strictEqual(exact.range, "A1:D4");
+    assert.strictEqual(exact.headerRow, 3);
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const FastXlsxReader = require("..");
+const FastXlsxSheetReader = require("../lib/FastXlsxSheetReader");
+const { createWorkbook, PEOPLE } = require("./helpers");
+
+/**
+ * Create a logger that records the levels of its messages.
+ * @returns {{logger: object, levels: string[]}}
+ */
+const recordingLogger = () => {
+  const levels = [];
+  const logger = {};
+  for (const level of ["debug", "info", "warn", "error"]) logger[level] = () => levels.push(level);
+  return { logger, levels };
+};
+
+describe("logging", () => {
+  for (const streaming of [false, true]) {
+    const mode = streaming ? " (streaming)" : "";
+    const input = createWorkbook({ People: PEOPLE });
+
+    it(`logs the messages from the "info" level by default${mode}`, async () => {
+      const { logger, levels } = recordingLogger();
+
+      await FastXlsxReader.read({ input, hasHeader: false, streaming, logger });
+
+      assert.deepStrictEqual(levels, ["info"]);
+    });
+
+    it(`logs the messages from 'logLevel'${mode}`, async () => {
+      const expected = { debug: ["info", "debug"], info: ["info"], warn: [], silent: [] };
+
+      for (const logLevel in expected) {
+        const { logger, levels } = recordingLogger();
+
+        await FastXlsxReader.read({ input, hasHeader: false, streaming, logger, logLevel });
+
+        assert.deepStrictEqual(levels, expected[logLevel], logLevel);
+      }
+    });
+
+    it(`logs the errors${mode}`, async () => {
+      const { logger, levels } = recordingLogger();
+
+      await assert.rejects(FastXlsxReader.read({
+        input,
+        streaming,
+        logger,
+        logLevel: "error",
+        schema: { Id: { prop: "id", type: Number } }
+      }), { name: "SchemaError" });
+
+      assert.deepStrictEqual(levels, ["error"]);
+    });
+  }
+
+  it("falls back on 'log' for the levels without a method", async () => {
+    const messages = [];
+
+    await FastXlsxReader.read({
+      input: createWorkbook({ People: PEOPLE }),
+      hasHeader: false,
+      logger: { log: (...args) => messages.push(args[0]) },
+      logLevel: "debug"
+    });
+
+    assert.deepStrictEqual(messages, ["Reading Excel file...", "Created arbitrary header:"]);
+  });
+
+  it("is silent without a logger", async t => {
+    const calls = ["log", "debug", "info", "warn", "error"].map(method => t.mock.method(console, method, () => {}));
+
+    await FastXlsxReader.read({ input: createWorkbook({ People: PEOPLE }), hasHeader: false, logLevel: "debug" });
+    await assert.rejects(FastXlsxReader.read({ input: createWorkbook({ People: PEOPLE }), sheetname: "Nope" }));
+    // aborting the read logs a debug message
+    new FastXlsxSheetReader(createWorkbook({ People: PEOPLE }), 0, null, { logLevel: "debug" }).readAll(false, () => true);
+
+    assert.deepStrictEqual(calls.map(call => call.mock.callCount()), [0, 0, 0, 0, 0]);
+  });
+
+  it("fails with an invalid level", () => {
+    assert.throws(() => new FastXlsxReader({ input: createWorkbook({ People: PEOPLE }), logLevel: "loud" }),
+      /^Error: Invalid log level: "loud"\. Supported levels are debug, info, warn, error, silent\.$/);
+  });
+});
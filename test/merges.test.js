@@ -0,0 +1,110 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const FastXlsxReader = require("..");
+const FastXlsxSheetReader = require("../lib/FastXlsxSheetReader");
+const FastXlsxStreamReader = require("../lib/FastXlsxStreamReader");
+const { createWorkbook, collect } = require("./helpers");
+
+// Region is merged over both header rows and over the first two data rows
+const REPORT = {
+  rows: [
+    ["Region", "Q1", null, "Q2", null],
+    [null, "Revenue", "Cost", "Revenue", "Cost"],
+    ["East", 1, 2, 3, 4],
+    [null, 5, 6, 7, 8],
+    ["West", 9, 10, 11, 12]
+  ],
+  merges: ["A1:A2", "B1:C1", "D1:E1", "A3:A4"]
+};
+
+/**
+ * Return the expected record of a row of the report.
+ */
+const record = (region, values) => ({
+  Region: region,
+  "Q1 / Revenue": values[0],
+  "Q1 / Cost": values[1],
+  "Q2 / Revenue": values[2],
+  "Q2 / Cost": values[3]
+});
+
+describe("multi-row headers", () => {
+  for (const streaming of [false, true]) {
+    const mode = streaming ? " (streaming)" : "";
+
+    it(`are flattened into composite names${mode}`, async () => {
+      const { items } = await FastXlsxReader.read({
+        input: createWorkbook({ Report: REPORT }),
+        headerRows: 2,
+        streaming,
+        useMemoryForItems: true
+      });
+
+      assert.deepStrictEqual(items, [
+        record("East", [1, 2, 3, 4]),
+        record(undefined, [5, 6, 7, 8]),
+        record("West", [9, 10, 11, 12])
+      ]);
+    });
+
+    it(`are joined with 'headerSeparator'${mode}`, async () => {
+      const records = await collect(new FastXlsxReader({
+        input: createWorkbook({ Report: REPORT }),
+        headerRows: 2,
+        headerSeparator: ".",
+        streaming
+      }));
+
+      assert.deepStrictEqual(Object.keys(records[0]), ["Region", "Q1.Revenue", "Q1.Cost", "Q2.Revenue", "Q2.Cost"]);
+    });
+  }
+});
+
+describe("merged cells", () => {
+  for (const streaming of [false, true]) {
+    const mode = streaming ? " (streaming)" : "";
+
+    it(`repeat their value with 'fillMergedCells'${mode}`, async () => {
+      const { items } = await FastXlsxReader.read({
+        input: createWorkbook({ Report: REPORT }),
+        headerRows: 2,
+        fillMergedCells: true,
+        streaming,
+        useMemoryForItems: true
+      });
+
+      assert.deepStrictEqual(items, [
+        record("East", [1, 2, 3, 4]),
+        record("East", [5, 6, 7, 8]),
+        record("West", [9, 10, 11, 12])
+      ]);
+    });
+
+    it(`repeat their value when iterating with 'fillMergedCells'${mode}`, async () => {
+      const records = await collect(new FastXlsxReader({
+        input: createWorkbook({ Data: { rows: [["Region", "Sales"], ["East", 1], [null, 2]], merges: ["A2:A3"] } }),
+        fillMergedCells: true,
+        streaming
+      }));
+
+      assert.deepStrictEqual(records, [{ Region: "East", Sales: 1 }, { Region: "East", Sales: 2 }]);
+    });
+  }
+
+  it("are listed by both sheet readers", async () => {
+    const input = createWorkbook({ Report: REPORT });
+    const sheetReader = new FastXlsxSheetReader(input, 0, null, {});
+    const streamReader = new FastXlsxStreamReader(input, 0, null, {});
+
+    await streamReader.readNext();
+    const streamedMerge = await streamReader.readCellMerge(2, 0);
+    const streamedMerges = streamReader.merges;
+    streamReader.destroy();
+
+    assert.strictEqual(sheetReader.merges.length, 4);
+    assert.deepStrictEqual(sheetReader.readCellMerge(2, 0), { s: { r: 0, c: 1 }, e: { r: 0, c: 2 } });
+    assert.strictEqual(sheetReader.readCellMerge(1, 2), undefined);
+    assert.deepStrictEqual(streamedMerges, sheetReader.merges);
+    assert.deepStrictEqual(streamedMerge, sheetReader.readCellMerge(2, 0));
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const FastXlsxReader = require("..");
+const FastXlsxSheetReader = require("../lib/FastXlsxSheetReader");
+const FastXlsxStreamReader = require("../lib/FastXlsxStreamReader");
+const { createWorkbook, collect, PEOPLE } = require("./helpers");
+
+/**
+ * Read the records of a workbook with and without streaming.
+ * @returns {Promise<[object, object]>} The results of both reads.
+ */
+const readBoth = (input, options) => Promise.all([false, true].map(streaming =>
+  FastXlsxReader.read(Object.assign({ input, streaming, useMemoryForItems: true }, options))));
+
+describe("streaming and non-streaming reads", () => {
+  it("return the same records", async () => {
+    const [sync, streamed] = await readBoth(createWorkbook({ People: PEOPLE }));
+
+    assert.deepStrictEqual(sync.items[0], { Id: 1, Name: "Ann", Age: 34, Active: true });
+    assert.strictEqual(sync.items.length, 4);
+    assert.deepStrictEqual(streamed, sync);
+  });
+
+  it("return the same records of a selected sheet", async () => {
+    const input = createWorkbook({ First: [["A"], [1]], Second: PEOPLE });
+    const [sync, streamed] = await readBoth(input, { sheetname: "Second" });
+
+    assert.strictEqual(sync.items.length, 4);
+    assert.deepStrictEqual(streamed, sync);
+  });
+
+  it("return the same records with a schema", async () => {
+    const schema = {
+      Id: { prop: "id", type: "integer", required: true },
+      Name: { prop: "name", type: String },
+      Age: { prop: "age", type: Number },
+      Active: { prop: "active", type: Boolean }
+    };
+    const [sync, streamed] = await readBoth(createWorkbook({ People: PEOPLE }), { schema });
+
+    assert.deepStrictEqual(sync.items[1], { id: 2, name: "Bob", age: 27, active: false });
+    assert.deepStrictEqual(streamed, sync);
+  });
+
+  it("skip the same empty rows", async () => {
+    const rows = [PEOPLE[0], PEOPLE[1], [], PEOPLE[2], [], []];
+    const [sync, streamed] = await readBoth(createWorkbook({ People: rows }), { skipEmptyRows: true });
+
+    assert.deepStrictEqual(sync.items.map(item => item.Id), [1, 2]);
+    assert.deepStrictEqual(streamed, sync);
+  });
+
+  it("report the same cells to 'onCell'", async () => {
+    const cells = [[], []];
+    await Promise.all([false, true].map(streaming => FastXlsxReader.read({
+      input: createWorkbook({ People: PEOPLE.slice(0, 2) }),
+      streaming,
+      onCell: (cell, rowIndex, colIndex) => cells[+streaming].push([cell.v, rowIndex, colIndex])
+    })));
+
+    assert.deepStrictEqual(cells[0].slice(3, 6), [["Active", 0, 3], [1, 1, 0], ["Ann", 1, 1]]);
+    assert.strictEqual(cells[0].length, 8);
+    assert.deepStrictEqual(cells[1], cells[0]);
+  });
+
+  it("iterate over the same records", async () => {
+    const input = createWorkbook({ People: PEOPLE });
+    const [sync, streamed] = await Promise.all([false, true].map(streaming =>
+      collect(new FastXlsxReader({ input, streaming }))));
+
+    assert.strictEqual(sync.length, 4);
+    assert.deepStrictEqual(streamed, sync);
+  });
+});
+
+describe("streaming and non-streaming sheet readers", () => {
+  it("trim the rows to the used range", async () => {
+    const input = createWorkbook({
+      Report: { rows: [["Revenue", "Cost", "Margin", "Tax"], [10, 4, 6, 1], [], [12]], ref: "A1:H30" }
+    });
+    const options = { trimToUsedRange: true };
+
+    const sync = [];
+    const streamed = [];
+    const sheetReader = new FastXlsxSheetReader(input, 0, null, options);
+    const streamReader = new FastXlsxStreamReader(input, 0, null, options);
+    let row;
+
+    while ((row = sheetReader.readNext()) !== null) sync.push(row);
+    while ((row = await streamReader.readNext()) !== null) streamed.push(row);
+    streamReader.destroy();
+
+    assert.strictEqual(sync.length, 4);
+    assert.strictEqual(sync[0].length, 4);
+    assert.deepStrictEqual(streamed, sync);
+  });
+
+  it("return the same records of a sheet that declares a wider range", async () => {
+    const input = createWorkbook({
+      Report: { rows: [["Revenue", "Cost", "Revenue", "Cost"], [10, 4, 6, 1]], ref: "A1:H30" }
+    });
+    const [sync, streamed] = await readBoth(input, { headerRow: "auto", skipEmptyRows: true });
+
+    assert.strictEqual(sync.items.length, 1);
+    assert.deepStrictEqual(streamed, sync);
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const FastXlsxReader = require("..");
+const { createWorkbook, collect, tempDir } = require("./helpers");
+
+const ROWS = [["Id", "Name"]];
+for (let id = 1; id <= 23; id++) ROWS.push([id, `Name ${id}`]);
+
+/**
+ * Read the sheet to the end, then read it again from one of the checkpoints
+ * after a simulated failure that left a partial record in the output file.
+ * @param {number} checkpointIndex The index of the checkpoint to resume from.
+ * @returns {Promise<{complete: string, resumed: string}>} The content of both outputs.
+ */
+const readAndResume = async (t, format, options, checkpointIndex = 1) => {
+  const dir = tempDir(t);
+  const input = createWorkbook({ Data: ROWS });
+  const complete = path.join(dir, `complete.${format}`);
+  const resumed = path.join(dir, `resumed.${format}`);
+  const checkpoints = [];
+
+  await FastXlsxReader.read(Object.assign({
+    input,
+    output: complete,
+    format,
+    checkpointEvery: 5,
+    onCheckpoint: checkpoint => checkpoints.push(checkpoint)
+  }, options));
+
+  const checkpoint = checkpoints[checkpointIndex];
+  const content = fs.readFileSync(complete, "utf8");
+  fs.writeFileSync(resumed, content.substring(0, checkpoint.output.offset) + "{\"Id\":99,\"Na");
+
+  await FastXlsxReader.read(Object.assign({
+    input,
+    output: resumed,
+    format,
+    resume: checkpoint
+  }, options));
+
+  return { complete: content, resumed: fs.readFileSync(resumed, "utf8") };
+};
+
+describe("checkpoints", () => {
+  it("are reported every 'checkpointEvery' rows and at the end", async () => {
+    const checkpoints = [];
+
+    await FastXlsxReader.read({
+      input: createWorkbook({ Data: ROWS }),
+      checkpointEvery: 10,
+      onCheckpoint: checkpoint => checkpoints.push(checkpoint)
+    });
+
+    assert.deepStrictEqual(checkpoints.map(checkpoint => checkpoint.startAt), [11, 21, 24]);
+  });
+
+  it("skip the rows before 'startAt'", async () => {
+    for (const streaming of [false, true]) {
+      const records = await collect(new FastXlsxReader({
+        input: createWorkbook({ Data: ROWS }),
+        startAt: 21,
+        streaming
+      }));
+
+      assert.deepStrictEqual(records.map(record => record.Id), [21, 22, 23]);
+    }
+  });
+});
+
+describe("resuming", () => {
+  for (const format of ["json", "ndjson", "csv"]) {
+    for (const streaming of [false, true]) {
+      it(`continue the ${format} output${streaming ? " (streaming)" : ""}`, async t => {
+        const { complete, resumed } = await readAndResume(t, format, { streaming });
+
+        assert.strictEqual(resumed, complete);
+      });
+    }
+  }
+
+  for (const format of ["json", "csv"]) {
+    it(`begin the ${format} output when it had not begun at the checkpoint`, async t => {
+      const { complete, resumed } = await readAndResume(t, format, {
+        filter: record => record.Id > 7,
+        map: record => ({ id: record.Id })
+      }, 0);
+
+      assert.ok(complete.startsWith(format === "json" ? '[{"id":8}' : "id\r\n8\r\n"));
+      assert.strictEqual(resumed, complete);
+    });
+  }
+
+  it("fail when the output file is shorter than the checkpoint", async t => {
+    const output = path.join(tempDir(t), "short.json");
+    fs.writeFileSync(output, "[");
+
+    await assert.rejects(FastXlsxReader.read({
+      input: createWorkbook({ Data: ROWS }),
+      output,
+      resume: { row: 10, startAt: 11, rowsProcessed: 11, output: { offset: 100, records: 10 } }
+    }), { name: "OutputError" });
+  });
+});
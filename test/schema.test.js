@@ -0,0 +1,87 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const FastXlsxReader = require("..");
+const { normalizeSchema } = require("../lib/schema");
+const { createWorkbook } = require("./helpers");
+
+const ROWS = [
+  ["Id", "Day", "At", "Price", "Name", "Paid"],
+  [1, new Date(Date.UTC(2024, 0, 5)), new Date(Date.UTC(2024, 0, 5, 10, 30)), 2.5, "Ann", true],
+  [2, new Date(Date.UTC(2024, 0, 6)), new Date(Date.UTC(2024, 0, 6, 11)), 3, null, false]
+];
+
+describe("inferred schemas", () => {
+  it("infer the type of each column", async () => {
+    const schema = await FastXlsxReader.inferSchema(createWorkbook({ Data: ROWS }));
+
+    assert.deepStrictEqual(Object.keys(schema).map(column => schema[column].type), [
+      FastXlsxReader.Integer, Date, FastXlsxReader.DateTime, Number, String, Boolean
+    ]);
+    assert.strictEqual(schema.Name.nullable, true);
+  });
+
+  it("read back their JSON Schema as the same schema", async () => {
+    const { schema, jsonSchema } = await FastXlsxReader.inferSchema(createWorkbook({ Data: ROWS }), {
+      jsonSchema: true
+    });
+
+    // the JSON Schema also requires the columns that are not nullable
+    const types = entries => Object.keys(entries).map(column =>
+      [column, entries[column].prop, entries[column].type, !!entries[column].nullable]);
+
+    assert.deepStrictEqual(types(normalizeSchema(jsonSchema)), types(normalizeSchema(schema)));
+  });
+});
+
+describe("boolean columns", () => {
+  it("convert booleans, 0/1 and their texts, and report other values", async () => {
+    const input = createWorkbook({
+      Data: [["Flag"], [true], [false], [1], [0], ["TRUE"], ["false"], [" Yes "], ["no"], ["1"], ["0"], ["maybe"], [2]]
+    });
+
+    const { items, errors } = await FastXlsxReader.read({
+      input,
+      schema: { Flag: { prop: "flag", type: "boolean" } },
+      useMemoryForItems: true
+    });
+
+    assert.deepStrictEqual(items.slice(0, 10).map(item => item.flag),
+      [true, false, true, false, true, false, true, false, true, false]);
+    assert.deepStrictEqual(errors.map(({ row, reason }) => [row, reason]),
+      [[11, "is not a valid boolean"], [12, "is not a valid boolean"]]);
+  });
+});
+
+describe("empty values", () => {
+  const schema = {
+    Id: { prop: "id", type: Number },
+    Count: { prop: "count", type: "integer" },
+    Day: { prop: "day", type: Date },
+    Note: { prop: "note", type: String, nullable: true },
+    Score: { prop: "score", type: Number, default: 10 },
+    Missing: { prop: "missing", type: Number }
+  };
+
+  for (const streaming of [false, true]) {
+    it(`are not converted${streaming ? " (streaming)" : ""}`, async () => {
+      const input = createWorkbook({ Data: [["Id", "Count", "Day", "Note", "Score"], [1, null, null, null, null]] });
+
+      const { items, errors } = await FastXlsxReader.read({ input, schema, streaming, useMemoryForItems: true });
+
+      assert.deepStrictEqual(items, [{
+        id: 1, count: undefined, day: undefined, note: null, score: 10, missing: undefined
+      }]);
+      assert.deepStrictEqual(errors, []);
+    });
+
+    it(`skip the header cells without a name${streaming ? " (streaming)" : ""}`, async () => {
+      const input = createWorkbook({
+        Data: { rows: [["Id", "Count", "Day", "Note", "Score"], [1, 2, null, "a", 3]], ref: "A1:H2" }
+      });
+
+      const { items } = await FastXlsxReader.read({ input, schema, streaming, headerRow: "auto", useMemoryForItems: true });
+
+      assert.deepStrictEqual(items.map(item => [item.id, item.count, item.note]), [[1, 2, "a"]]);
+    });
+  }
+});
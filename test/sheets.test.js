@@ -0,0 +1,175 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const FastXlsxReader = require("..");
+const FastXlsxSheetReader = require("../lib/FastXlsxSheetReader");
+const FastXlsxStreamReader = require("../lib/FastXlsxStreamReader");
+const { createWorkbook, collect, tempDir } = require("./helpers");
+
+const ORDERS = [["Id", "Total"], [1, 10], [2, 20]];
+const CUSTOMERS = [["Name"], ["Ann"]];
+const NOTES = [["Text"], ["x"]];
+
+describe("reading several sheets", () => {
+  for (const streaming of [false, true]) {
+    const mode = streaming ? " (streaming)" : "";
+    const input = createWorkbook({ Orders: ORDERS, Customers: CUSTOMERS, Notes: NOTES });
+
+    it(`keys the items by sheet name with "*"${mode}`, async () => {
+      const result = await FastXlsxReader.read({ input, sheetname: "*", streaming, useMemoryForItems: true });
+
+      assert.deepStrictEqual(result, {
+        items: {
+          Orders: [{ Id: 1, Total: 10 }, { Id: 2, Total: 20 }],
+          Customers: [{ Name: "Ann" }],
+          Notes: [{ Text: "x" }]
+        },
+        rowsProcessed: 7,
+        errors: []
+      });
+    });
+
+    it(`reads the sheets of an array of names and indices in order${mode}`, async () => {
+      const { items } = await FastXlsxReader.read({
+        input,
+        sheetname: ["Customers", 0],
+        streaming,
+        useMemoryForItems: true
+      });
+
+      assert.deepStrictEqual(Object.keys(items), ["Customers", "Orders"]);
+      assert.strictEqual(items.Orders.length, 2);
+    });
+
+    it(`uses the schema of each sheet${mode}`, async () => {
+      const { items, errors } = await FastXlsxReader.read({
+        input,
+        sheetname: ["Orders", "Customers"],
+        schemas: { Orders: { Id: { prop: "id", type: Number }, Total: { prop: "total", type: Number, max: 15 } } },
+        schema: { Name: { prop: "name", type: String } },
+        streaming,
+        useMemoryForItems: true
+      });
+
+      assert.deepStrictEqual(items.Orders[0], { id: 1, total: 10 });
+      assert.deepStrictEqual(items.Customers, [{ name: "Ann" }]);
+      assert.deepStrictEqual(errors, [
+        { sheet: "Orders", row: 2, column: "Total", value: 20, reason: "must be less than or equal to 15" }
+      ]);
+    });
+
+    it(`writes one file per sheet with "{sheet}"${mode}`, async t => {
+      const dir = tempDir(t);
+
+      await FastXlsxReader.read({ input, sheetname: "*", output: path.join(dir, "{sheet}.csv"), format: "csv", streaming });
+
+      assert.deepStrictEqual(fs.readdirSync(dir).sort(), ["Customers.csv", "Notes.csv", "Orders.csv"]);
+      assert.strictEqual(fs.readFileSync(path.join(dir, "Orders.csv"), "utf8"), "Id,Total\r\n1,10\r\n2,20\r\n");
+    });
+
+    it(`writes a single JSON object keyed by sheet name${mode}`, async t => {
+      const output = path.join(tempDir(t), "all.json");
+
+      await FastXlsxReader.read({ input, sheetname: /^(Orders|Notes)$/, output, streaming });
+
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(output, "utf8")), {
+        Orders: [{ Id: 1, Total: 10 }, { Id: 2, Total: 20 }],
+        Notes: [{ Text: "x" }]
+      });
+    });
+
+    it(`yields the records of all the sheets when iterating${mode}`, async () => {
+      const records = await collect(new FastXlsxReader({ input, sheetname: ["Notes", "Customers"], streaming }));
+
+      assert.deepStrictEqual(records, [{ Text: "x" }, { Name: "Ann" }]);
+    });
+  }
+
+  it("fails to write several sheets to a single output that isn't JSON", async t => {
+    await assert.rejects(FastXlsxReader.read({
+      input: createWorkbook({ Orders: ORDERS, Customers: CUSTOMERS }),
+      sheetname: "*",
+      output: path.join(tempDir(t), "all.csv"),
+      format: "csv"
+    }), { name: "OutputError" });
+  });
+});
+
+describe("sheet selection", () => {
+  const sheet = name => [["Sheet"], [name]];
+
+  for (const streaming of [false, true]) {
+    const mode = streaming ? " (streaming)" : "";
+    const input = createWorkbook({
+      Visible: sheet("Visible"),
+      Hidden: { rows: sheet("Hidden"), hidden: 1 },
+      VeryHidden: { rows: sheet("VeryHidden"), hidden: 2 },
+      _Meta: sheet("_Meta")
+    });
+
+    /**
+     * Return the names of the sheets read with the specified options.
+     */
+    const selected = async options => {
+      const { items } = await FastXlsxReader.read(Object.assign({ input, streaming, useMemoryForItems: true }, options));
+      return items ? Object.keys(items) : [];
+    };
+
+    it(`finds a sheet by index${mode}`, async () => {
+      const { items } = await FastXlsxReader.read({ input, sheetname: 3, streaming, useMemoryForItems: true });
+
+      assert.deepStrictEqual(items, [{ Sheet: "_Meta" }]);
+    });
+
+    it(`fails with the available sheets when an index is out of range${mode}`, async () => {
+      await assert.rejects(FastXlsxReader.read({ input, sheetname: 9, streaming }), {
+        name: "ReadError",
+        message: "Worksheet not found: #9. Available sheets: Visible, Hidden, VeryHidden, _Meta."
+      });
+    });
+
+    it(`reads the hidden sheets unless skipped${mode}`, async () => {
+      assert.deepStrictEqual(await selected({ sheetname: "*" }), ["Visible", "Hidden", "VeryHidden", "_Meta"]);
+      assert.deepStrictEqual(await selected({ sheetname: "*", skipHiddenSheets: true }), ["Visible", "_Meta"]);
+      assert.deepStrictEqual(await selected({ sheetname: "*", skipVeryHiddenSheets: true }),
+        ["Visible", "Hidden", "_Meta"]);
+    });
+
+    it(`always reads the sheets named explicitly${mode}`, async () => {
+      assert.deepStrictEqual(await selected({ sheetname: ["VeryHidden", 1], skipHiddenSheets: true }),
+        ["VeryHidden", "Hidden"]);
+    });
+
+    it(`selects the sheets with a regular expression or a predicate${mode}`, async () => {
+      assert.deepStrictEqual(await selected({ sheetname: /hidden/gi }), ["Hidden", "VeryHidden"]);
+      assert.deepStrictEqual(await selected({ sheetname: /hidden/i, skipVeryHiddenSheets: true }), ["Hidden"]);
+      assert.deepStrictEqual(await selected({ sheetname: (name, index) => !name.startsWith("_") && index > 0 }),
+        ["Hidden", "VeryHidden"]);
+      assert.deepStrictEqual(await selected({ sheetname: /hidden/i, skipHiddenSheets: true }), []);
+    });
+
+    it(`reads the first visible sheet when skipping the hidden sheets${mode}`, async () => {
+      const { items } = await FastXlsxReader.read({
+        input: createWorkbook({ Hidden: { rows: sheet("Hidden"), hidden: 1 }, Visible: sheet("Visible") }),
+        skipHiddenSheets: true,
+        streaming,
+        useMemoryForItems: true
+      });
+
+      assert.deepStrictEqual(items, [{ Sheet: "Visible" }]);
+    });
+  }
+
+  it("lists the visibility of the sheets in both sheet readers", async () => {
+    const input = createWorkbook({ Visible: sheet("Visible"), Hidden: { rows: sheet("Hidden"), hidden: 2 } });
+    const streamReader = new FastXlsxStreamReader(input, 0, null, {});
+    await streamReader.readNext();
+    const streamed = streamReader.sheets;
+    streamReader.destroy();
+
+    assert.deepStrictEqual(new FastXlsxSheetReader(input, 0, null, {}).sheets,
+      [{ name: "Visible", hidden: 0 }, { name: "Hidden", hidden: 2 }]);
+    assert.deepStrictEqual(streamed, [{ name: "Visible", hidden: 0 }, { name: "Hidden", hidden: 2 }]);
+  });
+});
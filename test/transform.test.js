@@ -0,0 +1,92 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const FastXlsxReader = require("..");
+const { createWorkbook, collect, tempDir, PEOPLE } = require("./helpers");
+
+describe("transforming records", () => {
+  for (const streaming of [false, true]) {
+    const mode = streaming ? " (streaming)" : "";
+    const input = createWorkbook({ People: PEOPLE });
+
+    it(`runs 'filter', 'map' and the pipeline in order${mode}`, async () => {
+      const result = await FastXlsxReader.read({
+        input,
+        streaming,
+        filter: record => record.Active,
+        map: (record, index) => ({ name: record.Name, age: record.Age, index }),
+        pipeline: [
+          { filter: record => record.age < 50 },
+          { map: record => Object.assign(record, { adult: true }) }
+        ],
+        useMemoryForItems: true
+      });
+
+      assert.deepStrictEqual(result, {
+        items: [
+          { name: "Ann", age: 34, index: 1, adult: true },
+          { name: "Carl, Jr.", age: 45, index: 3, adult: true }
+        ],
+        rowsProcessed: 5,
+        errors: []
+      });
+    });
+
+    it(`drops the records mapped to null${mode}`, async () => {
+      const records = await collect(new FastXlsxReader({ input, streaming, map: record => record.Id % 2 ? record : null }));
+
+      assert.deepStrictEqual(records.map(record => record.Id), [1, 3]);
+    });
+
+    it(`fails with a TransformError when a stage throws${mode}`, async () => {
+      const cause = new Error("boom");
+      const errors = [];
+
+      await assert.rejects(FastXlsxReader.read({
+        input,
+        streaming,
+        pipeline: [{
+          map: record => {
+            if (record.Id === 3) throw cause;
+            return record;
+          }
+        }],
+        onError: error => errors.push(error)
+      }), {
+        name: "TransformError",
+        code: "ERR_TRANSFORM",
+        message: "Transform failed in row 4: boom",
+        row: 3,
+        cause
+      });
+      assert.deepStrictEqual(errors.map(error => error.name), ["TransformError"]);
+    });
+
+    it(`fails with a TransformError when iterating${mode}`, async () => {
+      await assert.rejects(collect(new FastXlsxReader({ input, streaming, filter: () => { throw new Error("bad"); } })),
+        FastXlsxReader.TransformError);
+    });
+
+    it(`fails with a TransformError when a stage is invalid${mode}`, async () => {
+      await assert.rejects(FastXlsxReader.read({ input, streaming, pipeline: [{ reduce: () => {} }] }), {
+        name: "TransformError",
+        message: "Transform failed in row 2: Invalid pipeline stage #1: a filter or map function is expected."
+      });
+    });
+  }
+
+  it("writes the columns of the mapped records", async t => {
+    const output = path.join(tempDir(t), "people.csv");
+
+    await FastXlsxReader.read({
+      input: createWorkbook({ People: PEOPLE }),
+      output,
+      format: "csv",
+      map: record => ({ name: record.Name, age: record.Age }),
+      pipeline: [{ filter: record => record.age < 40 }]
+    });
+
+    assert.strictEqual(fs.readFileSync(output, "utf8"), "name,age\r\nAnn,34\r\nBob,27\r\n");
+  });
+});
@@ -0,0 +1,132 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const FastXlsxReader = require("..");
+const { createWorkbook, tempDir, PEOPLE } = require("./helpers");
+
+const EXPECTED = {
+  json: '[{"Id":1,"Name":"Ann","Age":34,"Active":true},{"Id":2,"Name":"Bob","Age":27,"Active":false},' +
+    '{"Id":3,"Name":"Carl, Jr.","Age":45,"Active":true},{"Id":4,"Name":"Dee \\"D\\"","Age":52,"Active":false}]',
+  ndjson: '{"Id":1,"Name":"Ann","Age":34,"Active":true}\n{"Id":2,"Name":"Bob","Age":27,"Active":false}\n' +
+    '{"Id":3,"Name":"Carl, Jr.","Age":45,"Active":true}\n{"Id":4,"Name":"Dee \\"D\\"","Age":52,"Active":false}\n',
+  csv: 'Id,Name,Age,Active\r\n1,Ann,34,true\r\n2,Bob,27,false\r\n3,"Carl, Jr.",45,true\r\n4,"Dee ""D""",52,false\r\n',
+  tsv: 'Id\tName\tAge\tActive\n1\tAnn\t34\ttrue\n2\tBob\t27\tfalse\n3\tCarl, Jr.\t45\ttrue\n4\t"Dee ""D"""\t52\tfalse\n'
+};
+
+describe("writers", () => {
+  for (const format in EXPECTED) {
+    for (const streaming of [false, true]) {
+      it(`write ${format}${streaming ? " (streaming)" : ""}`, async t => {
+        const output = path.join(tempDir(t), `people.${format}`);
+
+        await FastXlsxReader.read({ input: createWorkbook({ People: PEOPLE }), output, format, streaming });
+
+        assert.strictEqual(fs.readFileSync(output, "utf8"), EXPECTED[format]);
+      });
+    }
+  }
+
+  it("write a valid output when there is no record", async t => {
+    const dir = tempDir(t);
+    const input = createWorkbook({ People: [PEOPLE[0]] });
+
+    await FastXlsxReader.read({ input, output: path.join(dir, "empty.json") });
+    await FastXlsxReader.read({ input, output: path.join(dir, "empty.csv"), format: "csv" });
+
+    assert.strictEqual(fs.readFileSync(path.join(dir, "empty.json"), "utf8"), "[]");
+    assert.strictEqual(fs.readFileSync(path.join(dir, "empty.csv"), "utf8"), "Id,Name,Age,Active\r\n");
+  });
+
+  it("write nested properties as CSV columns", async t => {
+    const output = path.join(tempDir(t), "people.csv");
+    const schema = {
+      Id: { prop: "id", type: Number },
+      Name: { prop: "person.name", type: String },
+      Age: { prop: "person.age", type: Number },
+      Active: { prop: "active", type: Boolean }
+    };
+
+    await FastXlsxReader.read({ input: createWorkbook({ People: PEOPLE.slice(0, 3) }), output, format: "csv", schema });
+
+    assert.strictEqual(fs.readFileSync(output, "utf8"),
+      "id,person.name,person.age,active\r\n1,Ann,34,true\r\n2,Bob,27,false\r\n");
+  });
+});
+
+describe("custom formats", () => {
+  const input = createWorkbook({ People: PEOPLE.slice(0, 3) });
+
+  it("are registered with registerFormat", async t => {
+    const output = path.join(tempDir(t), "people.sql");
+
+    FastXlsxReader.registerFormat("SQL-Test", (stream, options) => {
+      let columns;
+      return {
+        begin: header => columns = header,
+        write: record => stream.write(`INSERT INTO ${options.table} (${columns.join(", ")}) ` +
+          `VALUES (${columns.map(c => JSON.stringify(record[c])).join(", ")});\n`)
+      };
+    });
+    await FastXlsxReader.read({ input, output, format: "sql-test", table: "people" });
+
+    assert.strictEqual(fs.readFileSync(output, "utf8"),
+      "INSERT INTO people (Id, Name, Age, Active) VALUES (1, \"Ann\", 34, true);\n" +
+      "INSERT INTO people (Id, Name, Age, Active) VALUES (2, \"Bob\", 27, false);\n");
+  });
+
+  it("replace the format registered with the same name", async t => {
+    const output = path.join(tempDir(t), "people.txt");
+
+    FastXlsxReader.registerFormat("names-test", stream => ({ write: record => stream.write(`${record.Id}\n`) }));
+    FastXlsxReader.registerFormat("Names-Test", stream => ({ write: record => stream.write(`${record.Name}\n`) }));
+    await FastXlsxReader.read({ input, output, format: "names-test" });
+
+    assert.strictEqual(fs.readFileSync(output, "utf8"), "Ann\nBob\n");
+  });
+
+  it("must have a name and a factory", () => {
+    assert.throws(() => FastXlsxReader.registerFormat("", () => ({})), /non-empty string/);
+    assert.throws(() => FastXlsxReader.registerFormat("object-test", { write: () => {} }), /must be a function/);
+  });
+
+  it("fail with the supported formats when unknown", async t => {
+    await assert.rejects(FastXlsxReader.read({ input, output: path.join(tempDir(t), "people.xml"), format: "xml" }), {
+      name: "OutputError",
+      message: /^Unsupported output format: "xml"\. Supported formats are json, ndjson, csv, tsv/
+    });
+  });
+
+  it("can be written by a writer factory passed to the 'writer' option", async t => {
+    const output = path.join(tempDir(t), "people.txt");
+
+    await FastXlsxReader.read({ input, output, writer: stream => ({ write: record => stream.write(`${record.Name}\n`) }) });
+
+    assert.strictEqual(fs.readFileSync(output, "utf8"), "Ann\nBob\n");
+  });
+
+  it("can be written by a writer object that ignores the output", async t => {
+    const output = path.join(tempDir(t), "people.json");
+    const calls = [];
+
+    await FastXlsxReader.read({
+      input,
+      output,
+      writer: {
+        begin: header => calls.push(["begin", header.length]),
+        write: record => calls.push(["write", record.Id]),
+        end: () => calls.push(["end"])
+      }
+    });
+
+    assert.deepStrictEqual(calls, [["begin", 4], ["write", 1], ["write", 2], ["end"]]);
+    assert.strictEqual(fs.existsSync(output), false);
+  });
+
+  it("fail when the writer object has no 'write' method", async () => {
+    await assert.rejects(FastXlsxReader.read({ input, writer: { end: () => {} } }), {
+      name: "OutputError",
+      message: "The writer must have a 'write' method."
+    });
+  });
+});